@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+// Argument parsing for the scripts: util.parseArgs, plus --help text built
+// from the same option list and the value checks the scripts share.
+// `options` maps a long option name to { type, multiple, value, description },
+// where `value` names the argument in the help text.
+
+function helpText(command, summary, options, positionals) {
+    const lines = Object.entries(options).map(([name, spec]) => {
+        const flag = spec.type === 'boolean' ? `--${name}` : `--${name} <${spec.value || 'value'}>`;
+        return `  ${flag.padEnd(28)}${spec.description}`;
+    });
+    lines.push(`  ${'--help'.padEnd(28)}Show this help`);
+    return `Usage: ${command} [options]${positionals ? ` ${positionals}` : ''}\n\n${summary}\n\nOptions:\n${lines.join('\n')}`;
+}
+
+// Returns { values, positionals }; prints the help and exits on --help.
+// Unknown options throw, naming the option.
+function parseCli(argv, { command, summary, options, positionals }) {
+    const spec = { help: { type: 'boolean', short: 'h' } };
+    Object.entries(options).forEach(([name, { type, multiple }]) => {
+        spec[name] = { type, multiple: Boolean(multiple) };
+    });
+    const parsed = parseArgs({ args: argv, options: spec, allowPositionals: Boolean(positionals), strict: true });
+    if (parsed.values.help) {
+        console.log(helpText(command, summary, options, positionals));
+        process.exit(0);
+    }
+    return parsed;
+}
+
+function positiveInt(name, value) {
+    const n = Number(value);
+    if (!/^\d+$/.test(value) || n < 1) throw new Error(`--${name} must be a positive integer, got ${value}`);
+    return n;
+}
+
+function nonNegativeInt(name, value) {
+    const n = Number(value);
+    if (!/^\d+$/.test(value) || n > 4294967295) throw new Error(`--${name} must be an integer from 0 to 4294967295, got ${value}`);
+    return n;
+}
+
+// A share in (0, 1].
+function fraction(name, value) {
+    const n = Number(value);
+    if (String(value).trim() === '' || !Number.isFinite(n) || n <= 0 || n > 1) {
+        throw new Error(`--${name} must be a number greater than 0 and at most 1, got ${value}`);
+    }
+    return n;
+}
+
+// Comma-separated, distinct values from `allowed`.
+function listOf(name, value, allowed) {
+    const items = value.split(',').map(v => v.trim());
+    if (items.some(v => !allowed.includes(v)) || new Set(items).size !== items.length) {
+        throw new Error(`--${name} must be a comma-separated list of distinct values from: ${allowed.join(', ')}, got ${value}`);
+    }
+    return items;
+}
+
+// An existing file or directory (`kind`), resolved against the working directory.
+function existingPath(name, value, kind) {
+    const resolved = path.resolve(value);
+    const stat = fs.existsSync(resolved) ? fs.statSync(resolved) : null;
+    if (!stat || (kind === 'directory') !== stat.isDirectory()) throw new Error(`--${name}: no such ${kind}: ${value}`);
+    return resolved;
+}
+
+module.exports = { parseCli, positiveInt, nonNegativeInt, fraction, listOf, existingPath };
@@ -0,0 +1,123 @@
+const { parentPort, workerData } = require('worker_threads');
+const { TripClusterer, NOISE, SILHOUETTE_SAMPLE } = require('./tripClusterer');
+
+// Runs one clustering job off the main thread. workerData carries the job
+// type, its validated parameters and the trip rows already loaded by the
+// server; the worker posts { type: 'progress', progress } messages as it goes
+// and a single { type: 'result', result } holding the API response body.
+
+function runClusters(params, rows, onProgress) {
+    const { mode, k, nInit, algorithm, eps, minPts, seed, features, scaling, weights, metric, unitMeters, pointsPerCluster } = params;
+
+    const parameters = {
+        mode,
+        ...(algorithm === 'dbscan' ? { eps, minPts } : { k, nInit }),
+        seed,
+        features,
+        scaling,
+        weights,
+        metric,
+        unitMeters
+    };
+
+    if (rows.length === 0) {
+        return {
+            algorithm,
+            ...parameters,
+            clusters: [],
+            clusterCount: 0,
+            totalPoints: 0,
+            inertia: 0,
+            silhouette: null
+        };
+    }
+
+    // Fitting is the bulk of the work; profiles and the silhouette estimate
+    // make up the last 10%.
+    const clusterer = new TripClusterer({
+        seed, features, scaling, weights, metric, unitMeters,
+        onProgress: p => onProgress(p * 0.9)
+    });
+    const clusters = algorithm === 'dbscan'
+        ? clusterer.dbscan(rows, eps, minPts)
+        : clusterer.kMeans(rows, k, { nInit });
+    onProgress(0.9);
+
+    // Plot points are trimmed to the clustering features; the profiles
+    // are computed over every point before sampling.
+    const plotPoints = points => clusterer.sample(points, pointsPerCluster).map(point =>
+        Object.fromEntries(features.map(feature => [feature, parseFloat(point[feature]) || 0]))
+    );
+
+    return {
+        algorithm,
+        ...parameters,
+        clusters: clusters.map((cluster, i) => ({
+            ...clusterer.profile(i),
+            ...(mode === 'od' ? { corridor: clusterer.corridor(i, rows.length) } : {}),
+            points: plotPoints(cluster)
+        })),
+        clusterCount: clusters.length,
+        totalPoints: rows.length,
+        inertia: clusterer.inertia,
+        silhouette: clusterer.silhouette(),
+        silhouetteSample: Math.min(SILHOUETTE_SAMPLE, rows.length - clusterer.noise.length),
+        ...(algorithm === 'dbscan'
+            ? { noiseLabel: NOISE, noiseCount: clusterer.noise.length, noise: plotPoints(clusterer.noise) }
+            : {})
+    };
+}
+
+function runSweep(params, rows, onProgress) {
+    const { mode, kMin, kMax, nInit, seed, features, scaling, weights, metric, unitMeters } = params;
+    const steps = kMax - kMin + 1;
+    const sweep = [];
+
+    // Every k starts from the same seed so the curve is reproducible.
+    for (let k = kMin; k <= kMax && rows.length > 0; k++) {
+        const step = k - kMin;
+        const clusterer = new TripClusterer({
+            seed, features, scaling, weights, metric, unitMeters,
+            onProgress: p => onProgress((step + p) / steps)
+        });
+        clusterer.kMeans(rows, k, { nInit });
+        sweep.push({
+            k,
+            clusterCount: clusterer.clusters.length,
+            inertia: clusterer.inertia,
+            silhouette: clusterer.silhouette()
+        });
+    }
+
+    return {
+        mode,
+        kMin,
+        kMax,
+        nInit,
+        seed,
+        features,
+        scaling,
+        weights,
+        metric,
+        unitMeters,
+        totalPoints: rows.length,
+        sweep
+    };
+}
+
+const RUNNERS = {
+    clusters: runClusters,
+    sweep: runSweep
+};
+
+// Progress is posted at most once per percent to keep the message channel quiet.
+let reported = -1;
+const onProgress = progress => {
+    const percent = Math.floor(progress * 100);
+    if (percent <= reported) return;
+    reported = percent;
+    parentPort.postMessage({ type: 'progress', progress: percent / 100 });
+};
+
+const { type, params, rows } = workerData;
+parentPort.postMessage({ type: 'result', result: RUNNERS[type](params, rows, onProgress) });
@@ -0,0 +1,78 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { from: copyFrom } = require('pg-copy-streams');
+
+// Bulk loader on COPY ... FROM STDIN. Rows are buffered and sent as one COPY
+// per `batchSize` rows; a transaction spans COPYs until `commitSize` rows are
+// in it, so a failure rolls back at most one commit's worth of rows.
+// `onBatch(client)` runs after each COPY inside the same transaction, so
+// whatever it records (e.g. a checkpoint) commits or rolls back with the rows.
+
+// One value in COPY text format: \N for NULL, backslash escapes for the
+// characters that delimit fields and rows. Dates go out as UTC with an
+// explicit Z, so a TIMESTAMPTZ column gets the same instant whatever the
+// host's or the session's time zone.
+function encodeValue(value) {
+    if (value === null || value === undefined || (typeof value === 'number' && !Number.isFinite(value))) return '\\N';
+    if (value instanceof Date) return value.toISOString();
+    return String(value).replace(/[\\\t\n\r]/g, c => ({ '\\': '\\\\', '\t': '\\t', '\n': '\\n', '\r': '\\r' })[c]);
+}
+
+class CopyLoader {
+    constructor(client, { table, columns, batchSize = 10000, commitSize = 100000, onBatch = null }) {
+        this.client = client;
+        this.onBatch = onBatch;
+        this.columns = columns;
+        this.batchSize = batchSize;
+        this.commitSize = commitSize;
+        this.sql = `COPY ${table} (${columns.join(', ')}) FROM STDIN`;
+        this.lines = [];
+        this.uncommitted = 0;
+        this.inTransaction = false;
+        this.committed = 0;
+    }
+
+    async add(row) {
+        this.lines.push(this.columns.map(c => encodeValue(row[c])).join('\t') + '\n');
+        if (this.lines.length >= this.batchSize) await this.flush();
+    }
+
+    async flush() {
+        if (this.lines.length === 0) return;
+        const lines = this.lines;
+        this.lines = [];
+        if (!this.inTransaction) {
+            await this.client.query('BEGIN');
+            this.inTransaction = true;
+        }
+        await pipeline(Readable.from(lines), this.client.query(copyFrom(this.sql)));
+        if (this.onBatch) await this.onBatch(this.client);
+        this.uncommitted += lines.length;
+        if (this.uncommitted >= this.commitSize) await this.commit();
+    }
+
+    async commit() {
+        if (!this.inTransaction) return;
+        await this.client.query('COMMIT');
+        this.inTransaction = false;
+        this.committed += this.uncommitted;
+        this.uncommitted = 0;
+    }
+
+    // Sends what is buffered and commits; returns the rows committed overall.
+    async finish() {
+        await this.flush();
+        await this.commit();
+        return this.committed;
+    }
+
+    async abort() {
+        this.lines = [];
+        this.uncommitted = 0;
+        if (!this.inTransaction) return;
+        this.inTransaction = false;
+        await this.client.query('ROLLBACK');
+    }
+}
+
+module.exports = { CopyLoader, encodeValue };
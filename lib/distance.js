@@ -0,0 +1,42 @@
+// Distance layer for the clustering engine. A selected latitude/longitude
+// pair is compared with the haversine great-circle distance in meters; every
+// other feature is compared on its scaled value. A metric then folds the
+// per-component distances into one: `add` accumulates a component and
+// `finish` turns the accumulator into the distance.
+
+const EARTH_RADIUS_METERS = 6371008.8;
+
+// Coordinate pairs measured geodesically when both halves are selected.
+const SPATIAL_PAIRS = [
+    ['lat', 'lon'],
+    ['dropoff_lat', 'dropoff_lon']
+];
+
+const METRICS = {
+    euclidean: {
+        add: (sum, d) => sum + d * d,
+        finish: sum => Math.sqrt(sum)
+    },
+    manhattan: {
+        add: (sum, d) => sum + Math.abs(d),
+        finish: sum => sum
+    }
+};
+
+const toRadians = degrees => degrees * Math.PI / 180;
+
+// A coordinate as a point [x, y, z] on the unit sphere, so the distance
+// between two of them needs no trigonometry beyond one asin.
+function toUnitVector(lat, lon) {
+    const phi = toRadians(lat);
+    const lambda = toRadians(lon);
+    return [Math.cos(phi) * Math.cos(lambda), Math.cos(phi) * Math.sin(lambda), Math.sin(phi)];
+}
+
+// Haversine distance in meters from the straight-line chord between two unit
+// vectors: the great-circle angle is 2 * asin(chord / 2).
+function chordToMeters(dx, dy, dz) {
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(dx * dx + dy * dy + dz * dz) / 2));
+}
+
+module.exports = { EARTH_RADIUS_METERS, SPATIAL_PAIRS, METRICS, toRadians, toUnitVector, chordToMeters };
@@ -0,0 +1,100 @@
+// New York time for trip timestamps. TLC records pickups and dropoffs as
+// New York wall-clock times without an offset. These helpers turn them into
+// instants and read instants back as New York calendar fields, using the tz
+// database through Intl so the zone of the host running the code never
+// matters. DST edges follow PostgreSQL's AT TIME ZONE: a time skipped when
+// clocks spring forward takes the offset from before the change, and a time
+// repeated when they fall back takes the later (standard time) instant.
+
+const NYC_TIME_ZONE = 'America/New_York';
+const HOUR_MS = 3600 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: NYC_TIME_ZONE,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+});
+
+// New York's UTC offset in ms at an instant. The offset only changes on a
+// UTC hour, so it is looked up once per hour.
+const offsets = new Map();
+
+function offsetAt(ms) {
+    const hour = Math.floor(ms / HOUR_MS);
+    let offset = offsets.get(hour);
+    if (offset === undefined) {
+        const p = {};
+        formatter.formatToParts(new Date(hour * HOUR_MS)).forEach(({ type, value }) => { p[type] = Number(value); });
+        offset = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - hour * HOUR_MS;
+        offsets.set(hour, offset);
+    }
+    return offset;
+}
+
+// The instant of a New York wall-clock time (month 1-12).
+function fromNycWallClock(year, month, day, hour = 0, minute = 0, second = 0, ms = 0) {
+    const wall = Date.UTC(year, month - 1, day, hour, minute, second, ms);
+    const before = wall - offsetAt(wall - DAY_MS);
+    const after = wall - offsetAt(wall + DAY_MS);
+    const fits = t => offsetAt(t) === wall - t;
+    if (fits(before) && fits(after)) return new Date(Math.max(before, after));
+    if (fits(after)) return new Date(after);
+    return new Date(before);
+}
+
+const WALL_CLOCK = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,6}))?)?)?$/;
+const EXPLICIT_ZONE = /(?:Z|[+-]\d{2}(?::?\d{2})?)$/i;
+
+// Reads a TLC timestamp as New York time, or returns null when it is not a
+// timestamp. Text with its own offset (or Z) is taken at its word. Formats
+// other than `YYYY-MM-DD HH:MM:SS` are split into fields by Date and then
+// read as New York time.
+function parseNycTimestamp(value) {
+    if (value == null || value === '') return null;
+    const text = String(value).trim();
+    if (EXPLICIT_ZONE.test(text) && /\d{2}:\d{2}/.test(text)) {
+        const d = new Date(text);
+        return isNaN(d.getTime()) ? null : d;
+    }
+    const m = text.match(WALL_CLOCK);
+    if (m) {
+        const [, y, mo, d, h = 0, mi = 0, s = 0, frac = '0'] = m;
+        const fields = [y, mo, d, h, mi, s].map(Number);
+        const daysInMonth = new Date(Date.UTC(fields[0], fields[1], 0)).getUTCDate();
+        if (fields[1] < 1 || fields[1] > 12 || fields[2] < 1 || fields[2] > daysInMonth || fields[3] > 23 || fields[4] > 59 || fields[5] > 59) return null;
+        return fromNycWallClock(...fields, Math.floor(Number(`0.${frac}`) * 1000));
+    }
+    const local = new Date(text);
+    if (isNaN(local.getTime())) return null;
+    return fromNycWallClock(local.getFullYear(), local.getMonth() + 1, local.getDate(),
+        local.getHours(), local.getMinutes(), local.getSeconds(), local.getMilliseconds());
+}
+
+// New York calendar fields of an instant: month 1-12, dayOfWeek 0 (Sunday) - 6.
+function nycParts(date) {
+    const ms = date.getTime();
+    const wall = new Date(ms + offsetAt(ms));
+    return {
+        year: wall.getUTCFullYear(),
+        month: wall.getUTCMonth() + 1,
+        day: wall.getUTCDate(),
+        hour: wall.getUTCHours(),
+        minute: wall.getUTCMinutes(),
+        second: wall.getUTCSeconds(),
+        dayOfWeek: wall.getUTCDay()
+    };
+}
+
+// `YYYY-MM-DDTHH:MM:SS` in New York time, without an offset.
+function formatNycTimestamp(date) {
+    const ms = date.getTime();
+    return new Date(ms + offsetAt(ms)).toISOString().slice(0, 19);
+}
+
+module.exports = { NYC_TIME_ZONE, parseNycTimestamp, fromNycWallClock, nycParts, formatNycTimestamp };
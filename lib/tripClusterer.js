@@ -0,0 +1,541 @@
+const { SPATIAL_PAIRS, METRICS, EARTH_RADIUS_METERS, toRadians, toUnitVector, chordToMeters } = require('./distance');
+
+// mulberry32: small, fast, seedable PRNG returning floats in [0, 1).
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const SCALINGS = ['zscore', 'minmax', 'none'];
+
+const NOISE = -1;
+const UNVISITED = -2;
+
+// Silhouette is quadratic in the number of points, so it is estimated on a
+// seeded sample of at most this many clustered points.
+const SILHOUETTE_SAMPLE = 1000;
+
+// k-means stops once no centroid moves further than this.
+const CONVERGENCE_METERS = 1;
+
+// DBSCAN buckets points by a flat projection of their coordinates, which can
+// overstate a haversine distance slightly; the grid cells are widened by
+// this factor so no eps-neighbour falls outside the adjacent cells.
+const GRID_SLACK = 1.01;
+
+// Most frequent value of `key` among the points and the share it holds.
+function dominantValue(points, key) {
+    const counts = new Map();
+    points.forEach(point => counts.set(point[key], (counts.get(point[key]) || 0) + 1));
+    
+    let value = null;
+    let count = 0;
+    counts.forEach((n, v) => {
+        if (n > count) {
+            value = v;
+            count = n;
+        }
+    });
+    
+    return { value, share: points.length ? count / points.length : 0 };
+}
+
+// Distances are in meters throughout: a selected coordinate pair contributes
+// its haversine distance, and every other feature contributes its scaled,
+// weighted difference times `unitMeters` (the distance one scaled unit is
+// worth). `metric` combines the contributions, Euclidean or Manhattan.
+class TripClusterer {
+    constructor({
+        seed = 0,
+        features = ['lat', 'lon', 'duration'],
+        scaling = 'zscore',
+        weights = null,
+        metric = 'euclidean',
+        unitMeters = 1000,
+        onProgress = () => {}
+    } = {}) {
+        this.random = createRandom(seed);
+        this.onProgress = onProgress;
+        this.features = features;
+        this.scaling = scaling;
+        this.weights = weights || features.map(() => 1);
+        this.metric = METRICS[metric];
+        this.metricName = metric;
+        this.unitMeters = unitMeters;
+        this.center = features.map(() => 0);
+        this.scale = features.map(() => 1);
+        this.prepared = new WeakMap();
+        this.clusters = [];
+        this.centroids = [];
+        this.inertia = 0;
+        this.labels = [];
+        this.noise = [];
+        
+        // A coordinate pair is weighted by the mean of its two weights; a
+        // lone latitude or longitude is treated as an ordinary numeric feature.
+        this.pairs = SPATIAL_PAIRS
+            .filter(([lat, lon]) => features.includes(lat) && features.includes(lon))
+            .map(([lat, lon]) => ({
+                lat,
+                lon,
+                weight: (this.weights[features.indexOf(lat)] + this.weights[features.indexOf(lon)]) / 2,
+                cosReference: 1
+            }));
+        const spatial = this.pairs.flatMap(pair => [pair.lat, pair.lon]);
+        this.numeric = features.map((feature, i) => i).filter(i => !spatial.includes(features[i]));
+    }
+    
+    // Learns the per-feature offset and divisor applied to numeric features:
+    // mean/std for z-scores, min/range for min-max, identity for 'none'.
+    // Also fixes the reference latitude of the DBSCAN grid projection.
+    fitScaling(data) {
+        this.prepared = new WeakMap();
+        this.pairs.forEach(pair => {
+            const meanLat = data.reduce((sum, p) => sum + (parseFloat(p[pair.lat]) || 0), 0) / (data.length || 1);
+            pair.cosReference = Math.cos(meanLat * Math.PI / 180);
+        });
+        
+        this.features.forEach((feature, i) => {
+            const values = data.map(point => parseFloat(point[feature]) || 0);
+            let center = 0;
+            let scale = 1;
+            
+            if (this.scaling === 'zscore' && values.length > 0) {
+                center = values.reduce((sum, v) => sum + v, 0) / values.length;
+                scale = Math.sqrt(values.reduce((sum, v) => sum + (v - center) ** 2, 0) / values.length);
+            } else if (this.scaling === 'minmax' && values.length > 0) {
+                center = values.reduce((min, v) => Math.min(min, v), Infinity);
+                scale = values.reduce((max, v) => Math.max(max, v), -Infinity) - center;
+            }
+            
+            this.center[i] = center;
+            this.scale[i] = scale > 0 ? scale : 1;
+        });
+    }
+    
+    kMeans(data, k, { maxIterations = 100, nInit = 1 } = {}) {
+        if (data.length === 0) return [];
+        
+        this.fitScaling(data);
+        
+        if (k <= 0 || k > data.length) {
+            this.clusters = [data];
+            this.centroids = [this.centroidOf(data)];
+            this.inertia = this.computeInertia();
+            return this.clusters;
+        }
+        
+        let best = null;
+        for (let run = 0; run < nInit; run++) {
+            const result = this.runKMeans(data, k, maxIterations,
+                fraction => this.onProgress((run + fraction) / nInit));
+            if (!best || result.inertia < best.inertia) best = result;
+        }
+        
+        const kept = best.clusters.map((cluster, i) => i).filter(i => best.clusters[i].length > 0);
+        this.clusters = kept.map(i => best.clusters[i]);
+        this.centroids = kept.map(i => best.centroids[i]);
+        this.inertia = best.inertia;
+        
+        return this.clusters;
+    }
+    
+    runKMeans(data, k, maxIterations, onProgress) {
+        let centroids = this.initializeCentroids(data, k);
+        let clusters = [];
+        
+        for (let iteration = 0; iteration < maxIterations; iteration++) {
+            clusters = this.assignPoints(data, centroids);
+            
+            const newCentroids = clusters.map(cluster =>
+                cluster.length === 0 ? { ...this.farthestPoint(data, centroids) } : this.centroidOf(cluster)
+            );
+            
+            const converged = centroids.every((centroid, i) => 
+                this.calculateDistance(centroid, newCentroids[i]) < CONVERGENCE_METERS
+            );
+            
+            centroids = newCentroids;
+            onProgress((iteration + 1) / maxIterations);
+            
+            if (converged) break;
+        }
+        onProgress(1);
+        
+        clusters = this.assignPoints(data, centroids);
+        centroids = clusters.map((cluster, i) => (cluster.length ? this.centroidOf(cluster) : centroids[i]));
+        
+        const inertia = clusters.reduce((total, cluster, i) =>
+            total + cluster.reduce((sum, p) => sum + this.calculateDistance(p, centroids[i]) ** 2, 0), 0
+        );
+        
+        return { clusters, centroids, inertia };
+    }
+    
+    assignPoints(data, centroids) {
+        const clusters = centroids.map(() => []);
+        
+        data.forEach(point => {
+            const distances = centroids.map(centroid => 
+                this.calculateDistance(point, centroid)
+            );
+            const nearestIndex = distances.indexOf(Math.min(...distances));
+            if (nearestIndex >= 0 && nearestIndex < clusters.length) {
+                clusters[nearestIndex].push(point);
+            }
+        });
+        
+        return clusters;
+    }
+    
+    // Per-feature mean, or per-feature median for numeric features under the
+    // Manhattan metric (the point minimising the summed L1 distance).
+    centroidOf(cluster) {
+        const centroid = {};
+        this.features.forEach((feature, i) => {
+            const values = cluster.map(p => parseFloat(p[feature]) || 0);
+            if (this.metricName === 'manhattan' && this.numeric.includes(i)) {
+                values.sort((a, b) => a - b);
+                const mid = Math.floor(values.length / 2);
+                centroid[feature] = values.length % 2 ? values[mid] : (values[mid - 1] + values[mid]) / 2;
+            } else {
+                centroid[feature] = values.reduce((sum, v) => sum + v, 0) / values.length;
+            }
+        });
+        return centroid;
+    }
+    
+    // Re-seeds an empty cluster with the point worst served by the current centroids.
+    farthestPoint(data, centroids) {
+        let farthest = data[0];
+        let maxDistance = -1;
+        
+        data.forEach(point => {
+            const distance = Math.min(...centroids.map(c => this.calculateDistance(point, c)));
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                farthest = point;
+            }
+        });
+        
+        return farthest;
+    }
+    
+    // k-means++: each new centroid is drawn with probability proportional to
+    // its squared distance from the nearest centroid already chosen.
+    initializeCentroids(data, k) {
+        const centroids = [{ ...data[Math.floor(this.random() * data.length)] }];
+        const minDistances = data.map(point => this.calculateDistance(point, centroids[0]) ** 2);
+        
+        while (centroids.length < k) {
+            const total = minDistances.reduce((sum, d) => sum + d, 0);
+            let index = Math.floor(this.random() * data.length);
+            
+            if (total > 0) {
+                let target = this.random() * total;
+                index = 0;
+                while (index < data.length - 1 && target >= minDistances[index]) {
+                    target -= minDistances[index];
+                    index++;
+                }
+            }
+            
+            const centroid = { ...data[index] };
+            centroids.push(centroid);
+            data.forEach((point, i) => {
+                minDistances[i] = Math.min(minDistances[i], this.calculateDistance(point, centroid) ** 2);
+            });
+        }
+        
+        return centroids;
+    }
+    
+    // DBSCAN: points with at least minPts neighbours within eps are core
+    // points; clusters are the core points reachable from one another plus
+    // their border neighbours. Everything else is labelled NOISE.
+    // eps is in meters.
+    //
+    // Trips often coincide in feature space (every pickup in a zone shares its
+    // centroid), so identical points are first collapsed into sites: each
+    // site is queried once, counts for all of its trips, and hands its label
+    // to every one of them.
+    dbscan(data, eps, minPts) {
+        this.fitScaling(data);
+        const sites = this.collapseDuplicates(data);
+        const prepared = sites.map(site => this.prepare(site.point));
+        const vectors = sites.map(site => this.gridVector(site.point));
+        const grid = this.buildGrid(vectors, eps * GRID_SLACK);
+        const labels = new Array(sites.length).fill(UNVISITED);
+        const weight = list => list.reduce((sum, j) => sum + sites[j].members.length, 0);
+        let clusterId = -1;
+        
+        for (let i = 0; i < sites.length; i++) {
+            if (i % 1000 === 0) this.onProgress(i / sites.length);
+            if (labels[i] !== UNVISITED) continue;
+            
+            const neighbors = this.regionQuery(prepared, vectors, grid, i, eps);
+            if (weight(neighbors) < minPts) {
+                labels[i] = NOISE;
+                continue;
+            }
+            
+            clusterId++;
+            labels[i] = clusterId;
+            const queue = [];
+            const expand = list => list.forEach(j => {
+                if (labels[j] === UNVISITED) {
+                    labels[j] = clusterId;
+                    queue.push(j);
+                } else if (labels[j] === NOISE) {
+                    labels[j] = clusterId;
+                }
+            });
+            
+            expand(neighbors);
+            while (queue.length > 0) {
+                const j = queue.pop();
+                const reachable = this.regionQuery(prepared, vectors, grid, j, eps);
+                if (weight(reachable) >= minPts) expand(reachable);
+            }
+        }
+        
+        this.labels = new Array(data.length);
+        sites.forEach((site, s) => site.members.forEach(i => { this.labels[i] = labels[s]; }));
+        this.clusters = Array.from({ length: clusterId + 1 }, () => []);
+        this.noise = [];
+        data.forEach((point, i) => {
+            if (this.labels[i] === NOISE) this.noise.push(point);
+            else this.clusters[this.labels[i]].push(point);
+        });
+        this.centroids = this.clusters.map(cluster => this.centroidOf(cluster));
+        this.inertia = this.computeInertia();
+        
+        return this.clusters;
+    }
+    
+    // Sum of squared distances from each clustered point to its centroid;
+    // DBSCAN noise is not part of any cluster and is left out.
+    computeInertia() {
+        return this.clusters.reduce((total, cluster, i) =>
+            total + cluster.reduce((sum, p) => sum + this.calculateDistance(p, this.centroids[i]) ** 2, 0), 0
+        );
+    }
+    
+    // Mean silhouette coefficient (-1 to 1, higher is better separated) over
+    // a sample of clustered points. Null when there are fewer than two clusters.
+    silhouette(sampleSize = SILHOUETTE_SAMPLE) {
+        if (this.clusters.length < 2) return null;
+        
+        const labelled = this.clusters.flatMap((cluster, label) => cluster.map(point => ({ point, label })));
+        const sample = this.sample(labelled, sampleSize);
+        const prepared = sample.map(({ point }) => this.prepare(point));
+        let total = 0;
+        
+        sample.forEach((a, i) => {
+            const sums = this.clusters.map(() => 0);
+            const counts = this.clusters.map(() => 0);
+            sample.forEach((b, j) => {
+                if (i === j) return;
+                sums[b.label] += this.preparedDistance(prepared[i], prepared[j]);
+                counts[b.label]++;
+            });
+            
+            // A point alone in its cluster scores 0 by convention.
+            if (counts[a.label] === 0) return;
+            const intra = sums[a.label] / counts[a.label];
+            const nearest = Math.min(...sums.map((sum, c) => (c !== a.label && counts[c] > 0 ? sum / counts[c] : Infinity)));
+            if (!Number.isFinite(nearest)) return;
+            total += (nearest - intra) / Math.max(intra, nearest) || 0;
+        });
+        
+        return total / sample.length;
+    }
+    
+    // Seeded partial Fisher-Yates shuffle: up to n items without replacement.
+    sample(items, n) {
+        if (items.length <= n) return items;
+        const shuffled = items.slice();
+        for (let i = 0; i < n; i++) {
+            const j = i + Math.floor(this.random() * (shuffled.length - i));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled.slice(0, n);
+    }
+    
+    // Summary of one cluster: its size, centroid, radius in meters (mean,
+    // 90th percentile and max distance of its trips from the centroid),
+    // per-feature mean/median/std and the borough and hour most of its trips
+    // start in.
+    profile(index) {
+        const cluster = this.clusters[index];
+        const stats = {};
+        const distances = cluster.map(p => this.calculateDistance(p, this.centroids[index])).sort((a, b) => a - b);
+        
+        this.features.forEach(feature => {
+            const values = cluster.map(p => parseFloat(p[feature]) || 0).sort((a, b) => a - b);
+            const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+            const mid = Math.floor(values.length / 2);
+            stats[feature] = {
+                mean,
+                median: values.length % 2 ? values[mid] : (values[mid - 1] + values[mid]) / 2,
+                std: Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length)
+            };
+        });
+        
+        const borough = dominantValue(cluster, 'pickup_borough');
+        const hour = dominantValue(cluster, 'hour_of_day');
+        
+        return {
+            id: index,
+            size: cluster.length,
+            centroid: this.centroids[index],
+            radius: {
+                mean: distances.reduce((sum, d) => sum + d, 0) / distances.length,
+                p90: distances[Math.min(distances.length - 1, Math.floor(distances.length * 0.9))],
+                max: distances[distances.length - 1]
+            },
+            stats,
+            dominantBorough: { borough: borough.value, share: borough.share },
+            dominantHour: { hour: hour.value, share: hour.share }
+        };
+    }
+    
+    // The travel corridor an OD cluster stands for: its most common pickup
+    // and dropoff zones, how many trips follow it and their median duration.
+    corridor(index, totalPoints) {
+        const cluster = this.clusters[index];
+        const endpoint = (idKey, zoneKey, boroughKey, latKey, lonKey) => {
+            const { value, share } = dominantValue(cluster, idKey);
+            const point = cluster.find(p => p[idKey] === value);
+            return {
+                locationId: value,
+                zone: point[zoneKey],
+                borough: point[boroughKey],
+                lat: parseFloat(point[latKey]),
+                lon: parseFloat(point[lonKey]),
+                share
+            };
+        };
+        const durations = cluster.map(p => parseFloat(p.duration) || 0).sort((a, b) => a - b);
+        const mid = Math.floor(durations.length / 2);
+        
+        return {
+            origin: endpoint('pu_location_id', 'pickup_zone', 'pickup_borough', 'lat', 'lon'),
+            destination: endpoint('do_location_id', 'dropoff_zone', 'dropoff_borough', 'dropoff_lat', 'dropoff_lon'),
+            volume: cluster.length,
+            share: cluster.length / totalPoints,
+            typicalDuration: durations.length % 2 ? durations[mid] : (durations[mid - 1] + durations[mid]) / 2
+        };
+    }
+    
+    // Groups points whose prepared coordinates are identical: [{ point, members }]
+    // with `point` the first of them and `members` the indices of all.
+    collapseDuplicates(data) {
+        const sites = new Map();
+        data.forEach((point, i) => {
+            const key = this.prepare(point).join(',');
+            const site = sites.get(key);
+            if (site) site.members.push(i);
+            else sites.set(key, { point, members: [i] });
+        });
+        return [...sites.values()];
+    }
+    
+    // Hashes vectors into cells of side eps over their first (up to) three
+    // dimensions, so an eps-neighbourhood only needs the adjacent cells.
+    buildGrid(vectors, eps) {
+        const dims = Math.min(3, vectors.length ? vectors[0].length : 0);
+        const cells = new Map();
+        const cellOf = v => v.slice(0, dims).map(x => Math.floor(x / eps));
+        
+        vectors.forEach((v, i) => {
+            const key = cellOf(v).join(',');
+            if (!cells.has(key)) cells.set(key, []);
+            cells.get(key).push(i);
+        });
+        
+        let offsets = [[]];
+        for (let d = 0; d < dims; d++) {
+            offsets = offsets.flatMap(o => [-1, 0, 1].map(delta => [...o, delta]));
+        }
+        
+        return { cells, cellOf, offsets };
+    }
+    
+    regionQuery(prepared, vectors, grid, index, eps) {
+        const cell = grid.cellOf(vectors[index]);
+        const neighbors = [];
+        
+        grid.offsets.forEach(offset => {
+            const members = grid.cells.get(cell.map((c, d) => c + offset[d]).join(','));
+            if (!members) return;
+            members.forEach(j => {
+                if (this.preparedDistance(prepared[index], prepared[j]) <= eps) neighbors.push(j);
+            });
+        });
+        
+        return neighbors;
+    }
+    
+    // Flat metric coordinates for the DBSCAN grid: each coordinate pair is
+    // projected equirectangularly around the sample's mean latitude, and
+    // numeric features keep their metric value.
+    gridVector(point) {
+        const prepared = this.prepare(point);
+        return [
+            ...this.pairs.flatMap(pair => [
+                pair.weight * EARTH_RADIUS_METERS * toRadians(parseFloat(point[pair.lon]) || 0) * pair.cosReference,
+                pair.weight * EARTH_RADIUS_METERS * toRadians(parseFloat(point[pair.lat]) || 0)
+            ]),
+            ...prepared.subarray(this.pairs.length * 3)
+        ];
+    }
+    
+    // Per-point work shared by every distance involving the point, packed
+    // into one array: a unit vector [x, y, z] per coordinate pair followed by
+    // each numeric feature in meters. Cached per fit, since scaling is fixed
+    // until the next one.
+    prepare(point) {
+        let prepared = this.prepared.get(point);
+        if (!prepared) {
+            prepared = Float64Array.from([
+                ...this.pairs.flatMap(pair =>
+                    toUnitVector(parseFloat(point[pair.lat]) || 0, parseFloat(point[pair.lon]) || 0)
+                ),
+                ...this.numeric.map(i =>
+                    this.unitMeters * this.weights[i] * ((parseFloat(point[this.features[i]]) || 0) - this.center[i]) / this.scale[i]
+                )
+            ]);
+            this.prepared.set(point, prepared);
+        }
+        return prepared;
+    }
+    
+    calculateDistance(point1, point2) {
+        if (!point1 || !point2) return Infinity;
+        return this.preparedDistance(this.prepare(point1), this.prepare(point2));
+    }
+    
+    preparedDistance(a, b) {
+        const { add, finish } = this.metric;
+        let sum = 0;
+        let k = 0;
+        
+        for (let p = 0; p < this.pairs.length; p++, k += 3) {
+            sum = add(sum, this.pairs[p].weight * chordToMeters(a[k] - b[k], a[k + 1] - b[k + 1], a[k + 2] - b[k + 2]));
+        }
+        for (; k < a.length; k++) {
+            sum = add(sum, a[k] - b[k]);
+        }
+        
+        return finish(sum);
+    }
+}
+
+module.exports = { TripClusterer, createRandom, SCALINGS, NOISE, SILHOUETTE_SAMPLE };
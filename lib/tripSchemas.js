@@ -0,0 +1,128 @@
+// Schema adapters for the TLC trip record files. Each service publishes its
+// own column layout; an adapter maps one CSV row or parquet record onto the
+// yellow-cab row the importer validates and enriches (tpep_* timestamps,
+// PULocationID, fare_amount, ...) plus the columns only that service has.
+// `measures` lists which of passenger count, distance and fares the service
+// reports, so validation only range-checks values that exist.
+
+const SERVICE_TYPES = ['yellow', 'green', 'fhv', 'fhvhv'];
+
+const SERVICE_LABELS = {
+    yellow: 'Yellow Taxi',
+    green: 'Green Taxi',
+    fhv: 'For-Hire Vehicle',
+    fhvhv: 'High-Volume For-Hire Vehicle'
+};
+
+// Parquet files carry timestamps as Date or epoch values; CSV files carry
+// them as text, which is kept as is. TLC writes parquet timestamps without a
+// zone, so the UTC reading of the value is the New York wall-clock time,
+// the same text a CSV file holds. The importer reads that text as New York
+// time (lib/nycTime.js).
+function timestamp(value) {
+    if (value == null || value === '') return '';
+    if (typeof value === 'string') return value;
+    const d = new Date(typeof value === 'bigint' ? Number(value) : value);
+    return isNaN(d.getTime()) ? '' : d.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function sum(...values) {
+    const numbers = values.map(v => parseFloat(v)).filter(n => !isNaN(n));
+    return numbers.length ? numbers.reduce((a, b) => a + b, 0) : '';
+}
+
+// Source column per row field; a list names alternatives, since TLC has
+// changed the capitalisation of some headers over the years.
+function pick(record, columns) {
+    const row = {};
+    Object.entries(columns).forEach(([field, source]) => {
+        const names = Array.isArray(source) ? source : [source];
+        const name = names.find(n => record[n] !== undefined);
+        row[field] = name === undefined ? '' : record[name];
+    });
+    return row;
+}
+
+const TAXI_COLUMNS = {
+    VendorID: 'VendorID',
+    passenger_count: 'passenger_count',
+    trip_distance: 'trip_distance',
+    RatecodeID: 'RatecodeID',
+    store_and_fwd_flag: 'store_and_fwd_flag',
+    PULocationID: 'PULocationID',
+    DOLocationID: 'DOLocationID',
+    payment_type: 'payment_type',
+    fare_amount: 'fare_amount',
+    extra: 'extra',
+    mta_tax: 'mta_tax',
+    tip_amount: 'tip_amount',
+    tolls_amount: 'tolls_amount',
+    improvement_surcharge: 'improvement_surcharge',
+    total_amount: 'total_amount',
+    congestion_surcharge: 'congestion_surcharge'
+};
+
+const ADAPTERS = {
+    yellow: {
+        filePattern: /^yellow_tripdata/i,
+        measures: { passengers: true, distance: true, fares: true },
+        toRow: record => ({
+            ...pick(record, TAXI_COLUMNS),
+            tpep_pickup_datetime: timestamp(record.tpep_pickup_datetime),
+            tpep_dropoff_datetime: timestamp(record.tpep_dropoff_datetime)
+        })
+    },
+    green: {
+        filePattern: /^green_tripdata/i,
+        measures: { passengers: true, distance: true, fares: true },
+        toRow: record => ({
+            ...pick(record, TAXI_COLUMNS),
+            tpep_pickup_datetime: timestamp(record.lpep_pickup_datetime),
+            tpep_dropoff_datetime: timestamp(record.lpep_dropoff_datetime),
+            ehail_fee: record.ehail_fee,
+            hail_type: record.trip_type
+        })
+    },
+    fhv: {
+        filePattern: /^fhv_tripdata/i,
+        measures: { passengers: false, distance: false, fares: false },
+        toRow: record => ({
+            ...pick(record, {
+                PULocationID: ['PUlocationID', 'PULocationID'],
+                DOLocationID: ['DOlocationID', 'DOLocationID'],
+                dispatching_base_num: ['dispatching_base_num', 'Dispatching_base_num']
+            }),
+            tpep_pickup_datetime: timestamp(record.pickup_datetime),
+            tpep_dropoff_datetime: timestamp(record.dropOff_datetime !== undefined ? record.dropOff_datetime : record.dropoff_datetime)
+        })
+    },
+    fhvhv: {
+        filePattern: /^fhvhv_tripdata/i,
+        measures: { passengers: false, distance: true, fares: true },
+        // HVFHV files have no total; it is the sum of what the rider paid.
+        toRow: record => ({
+            ...pick(record, {
+                hvfhs_license_num: 'hvfhs_license_num',
+                dispatching_base_num: 'dispatching_base_num',
+                PULocationID: 'PULocationID',
+                DOLocationID: 'DOLocationID',
+                trip_distance: 'trip_miles',
+                fare_amount: 'base_passenger_fare',
+                tolls_amount: 'tolls',
+                tip_amount: 'tips',
+                congestion_surcharge: 'congestion_surcharge',
+                driver_pay: 'driver_pay'
+            }),
+            tpep_pickup_datetime: timestamp(record.pickup_datetime),
+            tpep_dropoff_datetime: timestamp(record.dropoff_datetime),
+            total_amount: sum(record.base_passenger_fare, record.tolls, record.bcf, record.sales_tax,
+                record.congestion_surcharge, record.airport_fee, record.tips)
+        })
+    }
+};
+
+function serviceForFile(fileName) {
+    return SERVICE_TYPES.find(service => ADAPTERS[service].filePattern.test(fileName)) || null;
+}
+
+module.exports = { SERVICE_TYPES, SERVICE_LABELS, ADAPTERS, serviceForFile };
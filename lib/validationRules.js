@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const { SERVICE_TYPES, ADAPTERS } = require('./tripSchemas');
+
+// Range rules the importer applies to every trip, read from a JSON or YAML
+// file (config/validation-rules.json by default). `rules` maps a rule name,
+// which is also the exclusion reason recorded for the import, to the field it
+// checks and an inclusive min and/or max; rules run in the order listed.
+// `services.<service>.<rule>` overrides min/max for one service, or disables
+// the rule with false. A rule on a field the service does not report (see
+// `measures` in lib/tripSchemas.js) is left out for that service.
+
+const DEFAULT_RULES_PATH = path.join(__dirname, '..', 'config', 'validation-rules.json');
+const DEFAULT_SAMPLE_SIZE = 20;
+
+// Fields a rule may check, with the adapter measure that must be reported
+// for the field to exist. Duration is derived from the timestamps every
+// service has.
+const RULE_FIELDS = {
+    trip_duration_sec: null,
+    passenger_count: 'passengers',
+    trip_distance: 'distance',
+    fare_amount: 'fares',
+    total_amount: 'fares'
+};
+
+function readConfig(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    if (/\.ya?ml$/i.test(file)) return require('yaml').parse(text);
+    return JSON.parse(text);
+}
+
+function checkBound(file, name, rule, bound) {
+    if (rule[bound] !== undefined && !Number.isFinite(rule[bound])) {
+        throw new Error(`${file}: ${bound} of rule ${name} must be a number`);
+    }
+}
+
+// Returns { source, sampleSize, services: { <service>: [{ name, field, min, max }] } }.
+function loadValidationRules(file = process.env.VALIDATION_RULES || DEFAULT_RULES_PATH) {
+    const source = path.resolve(file);
+    const config = readConfig(source) || {};
+    const rules = config.rules || {};
+    const overrides = config.services || {};
+
+    Object.entries(rules).forEach(([name, rule]) => {
+        if (!rule || !(rule.field in RULE_FIELDS)) {
+            throw new Error(`${source}: rule ${name} must check one of ${Object.keys(RULE_FIELDS).join(', ')}`);
+        }
+        checkBound(source, name, rule, 'min');
+        checkBound(source, name, rule, 'max');
+    });
+    Object.entries(overrides).forEach(([service, serviceRules]) => {
+        if (!SERVICE_TYPES.includes(service)) {
+            throw new Error(`${source}: unknown service ${service}, expected one of ${SERVICE_TYPES.join(', ')}`);
+        }
+        Object.entries(serviceRules || {}).forEach(([name, override]) => {
+            if (!(name in rules)) throw new Error(`${source}: ${service} overrides unknown rule ${name}`);
+            if (override !== false) {
+                checkBound(source, `${service}.${name}`, override, 'min');
+                checkBound(source, `${service}.${name}`, override, 'max');
+            }
+        });
+    });
+
+    const services = {};
+    SERVICE_TYPES.forEach(service => {
+        const { measures } = ADAPTERS[service];
+        const serviceRules = overrides[service] || {};
+        services[service] = Object.entries(rules)
+            .filter(([name, rule]) => serviceRules[name] !== false && (!RULE_FIELDS[rule.field] || measures[RULE_FIELDS[rule.field]]))
+            .map(([name, rule]) => {
+                const { min, max } = { ...rule, ...serviceRules[name] };
+                return { name, field: rule.field, min: min ?? null, max: max ?? null };
+            });
+    });
+
+    const sampleSize = config.sampleSize ?? DEFAULT_SAMPLE_SIZE;
+    if (!Number.isInteger(sampleSize) || sampleSize < 0) {
+        throw new Error(`${source}: sampleSize must be a non-negative integer`);
+    }
+    return { source, sampleSize, services };
+}
+
+// The name of the first rule `values` (field -> number, NaN when missing or
+// unreadable) breaks, or null when it passes them all.
+function failedRule(rules, values) {
+    const failed = rules.find(({ field, min, max }) => {
+        const value = values[field];
+        return !Number.isFinite(value) || (min !== null && value < min) || (max !== null && value > max);
+    });
+    return failed ? failed.name : null;
+}
+
+module.exports = { DEFAULT_RULES_PATH, loadValidationRules, failedRule };
@@ -1,10 +1,15 @@
 let map;
-let currentMarkers = [];
+let corridorMap = null;
+let corridorLayer = null;
+let zoneLayer = null;
+let zoneLegend = null;
 let statsData = null;
 
 document.addEventListener('DOMContentLoaded', function() {
     initializeMap();
+    loadZoneOptions();
     loadStats();
+    loadTimeseries();
     setupEventListeners();
 });
 
@@ -17,9 +22,50 @@ function initializeMap() {
 }
 
 function setupEventListeners() {
+    document.getElementById('timeseriesGranularity').addEventListener('change', loadTimeseries);
+    document.getElementById('timeseriesMetric').addEventListener('change', loadTimeseries);
+    document.getElementById('serviceFilter').addEventListener('change', applyFilters);
     document.getElementById('boroughFilter').addEventListener('change', applyFilters);
+    document.getElementById('zoneFilter').addEventListener('change', applyFilters);
     document.getElementById('hourFilter').addEventListener('change', applyFilters);
     document.getElementById('tripTypeFilter').addEventListener('change', applyFilters);
+    document.getElementById('fromFilter').addEventListener('change', applyFilters);
+    document.getElementById('toFilter').addEventListener('change', applyFilters);
+    document.getElementById('dayTypeFilter').addEventListener('change', applyFilters);
+    document.getElementById('mapMetric').addEventListener('change', loadZoneMap);
+    document.getElementById('clusterAlgorithm').addEventListener('change', updateClusterControls);
+    document.getElementById('clusterMode').addEventListener('change', updateClusterControls);
+    updateClusterControls();
+}
+
+function updateClusterControls() {
+    const algorithm = document.getElementById('clusterAlgorithm').value;
+    const mode = document.getElementById('clusterMode').value;
+    document.querySelectorAll('.cluster-controls [data-algorithm]').forEach(control => {
+        control.style.display = control.dataset.algorithm === algorithm ? '' : 'none';
+    });
+    document.querySelectorAll('.cluster-controls [data-mode]').forEach(control => {
+        control.style.display = control.dataset.mode === mode ? '' : 'none';
+    });
+}
+
+function getFilterParams() {
+    const params = new URLSearchParams();
+    const filters = {
+        service: 'serviceFilter',
+        borough: 'boroughFilter',
+        zone: 'zoneFilter',
+        hour: 'hourFilter',
+        tripType: 'tripTypeFilter',
+        from: 'fromFilter',
+        to: 'toFilter',
+        dayType: 'dayTypeFilter'
+    };
+    Object.entries(filters).forEach(([name, id]) => {
+        const value = document.getElementById(id).value;
+        if (value) params.append(name, value);
+    });
+    return params;
 }
 
 function showTab(tabName) {
@@ -35,17 +81,21 @@ function showTab(tabName) {
     event.target.classList.add('active');
     
     if (tabName === 'patterns') {
-        loadHeatmapData();
+        loadZoneMap();
+    } else if (tabName === 'economics') {
+        loadEconomics();
     } else if (tabName === 'clusters') {
         generateClusters();
     } else if (tabName === 'insights') {
         loadInsights();
+    } else if (tabName === 'quality') {
+        loadDataQuality();
     }
 }
 
 async function loadStats() {
     try {
-        const response = await fetch('/api/stats');
+        const response = await fetch(`/api/stats?${getFilterParams()}`);
         const data = await response.json();
         statsData = data;
         
@@ -56,6 +106,7 @@ async function loadStats() {
         
         createBoroughChart(data.boroughs);
         createHourlyChart(data.hourly);
+        createServiceChart(data.services);
         
     } catch (error) {
         console.error('Error loading stats:', error);
@@ -108,60 +159,166 @@ function createHourlyChart(hourlyData) {
     Plotly.newPlot('hourlyChart', data, layout, {responsive: true});
 }
 
-async function loadHeatmapData() {
+const SERVICE_COLORS = {
+    yellow: '#f1c40f',
+    green: '#2ecc71',
+    fhv: '#9b59b6',
+    fhvhv: '#34495e'
+};
+
+function createServiceChart(serviceData) {
+    const format = (value, digits, unit) => value == null ? 'n/a' : value.toFixed(digits) + unit;
+    const data = [{
+        x: serviceData.map(s => s.label),
+        y: serviceData.map(s => s.trip_count),
+        type: 'bar',
+        marker: { color: serviceData.map(s => SERVICE_COLORS[s.service_type] || '#95a5a6') },
+        customdata: serviceData.map(s => [
+            format(s.avg_duration, 0, 's'),
+            format(s.avg_distance, 2, ' km'),
+            format(s.avg_speed, 1, ' km/h')
+        ]),
+        hovertemplate: '%{x}<br>%{y} trips<br>Avg duration: %{customdata[0]}<br>' +
+            'Avg distance: %{customdata[1]}<br>Avg speed: %{customdata[2]}<extra></extra>'
+    }];
+    
+    const layout = {
+        title: '',
+        yaxis: { title: 'Number of Trips' },
+        font: { size: 12 },
+        margin: { t: 0, b: 40, l: 60, r: 0 }
+    };
+    
+    Plotly.newPlot('serviceChart', data, layout, {responsive: true});
+}
+
+const TIMESERIES_METRICS = {
+    trip_count: 'Number of Trips',
+    avg_duration: 'Average Duration (seconds)',
+    avg_speed: 'Average Speed (km/h)',
+    revenue: 'Revenue ($)'
+};
+
+async function loadTimeseries() {
     try {
-        const borough = document.getElementById('boroughFilter').value;
-        const hour = document.getElementById('hourFilter').value;
+        const params = getFilterParams();
+        params.append('granularity', document.getElementById('timeseriesGranularity').value);
+        const response = await fetch(`/api/timeseries?${params}`);
+        const data = await response.json();
         
-        const params = new URLSearchParams();
-        if (borough) params.append('borough', borough);
-        if (hour) params.append('hour', hour);
+        createTimeseriesChart(data.series, document.getElementById('timeseriesMetric').value);
         
-        const response = await fetch(`/api/heatmap?${params}`);
+    } catch (error) {
+        console.error('Error loading time series:', error);
+        showError('Failed to load time series');
+    }
+}
+
+function createTimeseriesChart(series, metric) {
+    const data = [{
+        x: series.map(p => p.bucket),
+        y: series.map(p => p[metric]),
+        type: 'scatter',
+        mode: 'lines',
+        line: { color: '#3498db', width: 1.5 }
+    }];
+    
+    const layout = {
+        title: '',
+        xaxis: {
+            title: 'Pickup Time',
+            type: 'date',
+            rangeslider: { visible: true },
+            rangeselector: {
+                buttons: [
+                    { count: 1, label: '1d', step: 'day', stepmode: 'backward' },
+                    { count: 7, label: '1w', step: 'day', stepmode: 'backward' },
+                    { count: 1, label: '1m', step: 'month', stepmode: 'backward' },
+                    { step: 'all', label: 'All' }
+                ]
+            }
+        },
+        yaxis: { title: TIMESERIES_METRICS[metric], fixedrange: false },
+        font: { size: 12 },
+        margin: { t: 20, b: 40, l: 60, r: 0 }
+    };
+    
+    Plotly.newPlot('timeseriesChart', data, layout, {responsive: true});
+}
+
+const MAP_METRICS = {
+    trip_count: { label: 'Trips', format: v => v.toLocaleString() },
+    avg_speed: { label: 'Avg Speed', format: v => v.toFixed(1) + ' km/h' },
+    avg_duration: { label: 'Avg Duration', format: v => Math.round(v) + 's' },
+    tip_rate: { label: 'Tip Rate', format: v => (v * 100).toFixed(1) + '%' }
+};
+
+async function loadZoneMap() {
+    try {
+        const params = getFilterParams();
+        
+        const response = await fetch(`/api/zones/geojson?${params}`);
         const data = await response.json();
         
-        displayHeatmap(data);
+        displayChoropleth(data, document.getElementById('mapMetric').value);
         
     } catch (error) {
-        console.error('Error loading heatmap data:', error);
-        showError('Failed to load heatmap data');
+        console.error('Error loading zone map:', error);
+        showError('Failed to load zone map');
     }
 }
 
-function displayHeatmap(heatmapData) {
-    currentMarkers.forEach(marker => map.removeLayer(marker));
-    currentMarkers = [];
+function displayChoropleth(geojson, metric) {
+    if (zoneLayer) map.removeLayer(zoneLayer);
+    if (zoneLegend) map.removeControl(zoneLegend);
     
-    if (heatmapData.length === 0) {
+    const { label, format } = MAP_METRICS[metric];
+    const valueOf = feature => {
+        const props = feature.properties;
+        return props.trip_count > 0 ? props[metric] : null;
+    };
+    const values = geojson.features.map(valueOf).filter(v => v != null);
+    
+    if (values.length === 0) {
         showError('No data available for selected filters');
-        return;
     }
     
-    const maxIntensity = Math.max(...heatmapData.map(d => d.intensity));
-    
-    heatmapData.forEach(point => {
-        const intensity = point.intensity / maxIntensity;
-        const radius = Math.max(5, intensity * 20);
-        const opacity = Math.max(0.3, intensity);
-        
-        const marker = L.circleMarker([point.lat, point.lon], {
-            radius: radius,
-            fillColor: getColorFromIntensity(intensity),
-            color: '#fff',
-            weight: 1,
-            opacity: 1,
-            fillOpacity: opacity
-        }).addTo(map);
-        
-        marker.bindPopup(`
-            <strong>Pickup Location</strong><br>
-            Intensity: ${point.intensity} trips<br>
-            Avg Duration: ${Math.round(point.avg_duration)}s<br>
-            Avg Speed: ${parseFloat(point.avg_speed || 0).toFixed(1)} km/h
-        `);
-        
-        currentMarkers.push(marker);
-    });
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const scale = v => (max > min ? (v - min) / (max - min) : 1);
+    
+    zoneLayer = L.geoJSON(geojson, {
+        style: feature => {
+            const value = valueOf(feature);
+            return {
+                fillColor: value == null ? '#bdc3c7' : getColorFromIntensity(scale(value)),
+                fillOpacity: value == null ? 0.2 : 0.7,
+                color: '#fff',
+                weight: 1
+            };
+        },
+        onEachFeature: (feature, layer) => {
+            const props = feature.properties;
+            const value = valueOf(feature);
+            layer.bindPopup(`
+                <strong>${props.zone}</strong> (${props.borough})<br>
+                Trips: ${props.trip_count.toLocaleString()}<br>
+                ${label}: ${value == null ? 'n/a' : format(value)}
+            `);
+        }
+    }).addTo(map);
+    
+    if (values.length > 0) {
+        zoneLegend = L.control({ position: 'bottomright' });
+        zoneLegend.onAdd = () => {
+            const div = L.DomUtil.create('div', 'map-legend');
+            div.innerHTML = `<strong>${label}</strong><br>` + [0.9, 0.7, 0.5, 0.3, 0.1].map(t =>
+                `<i style="background:${getColorFromIntensity(t)}"></i> ${format(min + t * (max - min))}`
+            ).join('<br>');
+            return div;
+        };
+        zoneLegend.addTo(map);
+    }
 }
 
 function getColorFromIntensity(intensity) {
@@ -173,24 +330,44 @@ function getColorFromIntensity(intensity) {
 }
 
 async function applyFilters() {
-    await loadHeatmapData();
+    await loadStats();
+    await loadZoneMap();
     await loadFilteredCharts();
+    await loadTimeseries();
+}
+
+// Fills the pickup zone filter, grouped by borough.
+async function loadZoneOptions() {
+    try {
+        const response = await fetch('/api/zones');
+        const zones = await response.json();
+        const groups = new Map();
+        zones.forEach(z => {
+            if (!groups.has(z.borough)) groups.set(z.borough, []);
+            groups.get(z.borough).push(`<option value="${z.location_id}">${escapeHtml(z.zone)}</option>`);
+        });
+        document.getElementById('zoneFilter').innerHTML = '<option value="">All Zones</option>' +
+            [...groups].map(([borough, options]) => `<optgroup label="${escapeHtml(borough)}">${options.join('')}</optgroup>`).join('');
+    } catch (error) {
+        console.error('Error loading zones:', error);
+    }
+}
+
+function exportTrips() {
+    const params = getFilterParams();
+    params.append('format', document.getElementById('exportFormat').value);
+    window.location.href = `/api/trips/export?${params}`;
 }
 
 async function loadFilteredCharts() {
     try {
-        const borough = document.getElementById('boroughFilter').value;
-        const hour = document.getElementById('hourFilter').value;
-        const tripType = document.getElementById('tripTypeFilter').value;
-        
-        const params = new URLSearchParams();
-        if (borough) params.append('borough', borough);
-        if (hour) params.append('hour', hour);
-        if (tripType) params.append('tripType', tripType);
+        const params = getFilterParams();
         params.append('limit', '5000');
         
+        params.append('count', 'none');
+        
         const response = await fetch(`/api/trips?${params}`);
-        const trips = await response.json();
+        const { trips } = await response.json();
         
         createDurationChart(trips);
         createSpeedDistanceChart(trips);
@@ -225,6 +402,8 @@ function createSpeedDistanceChart(trips) {
     const data = [{
         x: trips.map(t => t.distance_km),
         y: trips.map(t => t.speed_kmh),
+        customdata: trips.map(t => t.trip_id),
+        hovertemplate: 'Trip %{customdata}<br>%{x:.2f} km at %{y:.1f} km/h<extra></extra>',
         mode: 'markers',
         type: 'scatter',
         marker: {
@@ -244,24 +423,285 @@ function createSpeedDistanceChart(trips) {
         margin: { t: 0, b: 40, l: 40, r: 0 }
     };
     
-    Plotly.newPlot('speedDistanceChart', data, layout, {responsive: true});
+    Plotly.newPlot('speedDistanceChart', data, layout, {responsive: true}).then(chart => {
+        chart.on('plotly_click', event => showTripDetail(event.points[0].customdata));
+    });
+}
+
+function lookupTrip() {
+    const id = document.getElementById('tripIdInput').value.trim();
+    if (id) showTripDetail(id);
+}
+
+async function showTripDetail(id) {
+    const container = document.getElementById('tripDetail');
+    container.innerHTML = '<div class="loading">Loading trip...</div>';
+    
+    try {
+        const response = await fetch(`/api/trips/${encodeURIComponent(id)}`);
+        const data = await response.json();
+        
+        if (!response.ok) {
+            container.innerHTML = `<p class="hint">${data.details ? data.details[0].reason : data.error}</p>`;
+            return;
+        }
+        
+        const { trip, comparison } = data;
+        // Distance, speed and fares are null for services that do not report them.
+        const orNa = (v, format) => (v === null || v === undefined ? 'n/a' : format(v));
+        const money = v => orNa(v, x => '$' + parseFloat(x).toFixed(2));
+        const rows = [
+            ['Trip ID', trip.trip_id],
+            ['Pickup', new Date(trip.tpep_pickup_datetime).toLocaleString('en-US', { timeZone: 'America/New_York' })],
+            ['Dropoff', new Date(trip.tpep_dropoff_datetime).toLocaleString('en-US', { timeZone: 'America/New_York' })],
+            ['From', `${trip.pickup_zone} (${trip.pickup_borough}, ${trip.pickup_service_zone})`],
+            ['To', `${trip.dropoff_zone} (${trip.dropoff_borough}, ${trip.dropoff_service_zone})`],
+            ['Vendor', trip.vendor],
+            ['Rate Code', trip.rate_code],
+            ['Payment', trip.payment_type_label],
+            ['Passengers', orNa(trip.passenger_count, v => v)],
+            ['Distance', orNa(trip.distance_km, v => parseFloat(v).toFixed(2) + ' km')],
+            ['Duration', Math.round(trip.trip_duration_sec / 60) + ' min'],
+            ['Speed', orNa(trip.speed_kmh, v => parseFloat(v).toFixed(1) + ' km/h')],
+            ['Fare', money(trip.fare_amount)],
+            ['Tip', orNa(trip.tip_amount, () => `${money(trip.tip_amount)} (${(parseFloat(trip.tip_rate) * 100).toFixed(1)}%)`)],
+            ['Tolls', money(trip.tolls_amount)],
+            ['Total', money(trip.total_amount)],
+            ['Duration Percentile', orNa(comparison.duration_percentile, v => v.toFixed(0) + '%')],
+            ['Fare Percentile', orNa(comparison.fare_percentile, v => v.toFixed(0) + '%')],
+            ['Median Duration (peers)', orNa(comparison.median_duration, v => Math.round(v / 60) + ' min')],
+            ['Median Fare (peers)', money(comparison.median_fare)]
+        ];
+        
+        container.innerHTML = `
+            <div class="trip-detail-grid">
+                ${rows.map(([label, value]) => `<div><span>${label}</span><strong>${value}</strong></div>`).join('')}
+            </div>
+            <p class="hint">Percentiles compare against ${comparison.peer_count.toLocaleString()} trips with the ${comparison.scope}.</p>
+        `;
+        
+    } catch (error) {
+        console.error('Error loading trip detail:', error);
+        showError('Failed to load trip detail');
+    }
+}
+
+async function loadEconomics() {
+    try {
+        const fetchFiltered = (url, extra = {}) => {
+            const params = getFilterParams();
+            Object.entries(extra).forEach(([name, value]) => params.append(name, value));
+            return fetch(`${url}?${params}`).then(r => r.json());
+        };
+        const [breakdown, paymentShare, tipsByHour, tipsByBorough, tipsByPayment, farePerKm] = await Promise.all([
+            fetchFiltered('/api/fares/breakdown'),
+            fetchFiltered('/api/fares/payment-share'),
+            fetchFiltered('/api/fares/tips', { groupBy: 'hour' }),
+            fetchFiltered('/api/fares/tips', { groupBy: 'borough' }),
+            fetchFiltered('/api/fares/tips', { groupBy: 'payment_type' }),
+            fetchFiltered('/api/fares/per-km')
+        ]);
+        
+        createFareBreakdownChart(breakdown);
+        createPaymentShareChart(paymentShare);
+        createTipRateChart('tipHourChart', tipsByHour.groups.map(g => g.group), tipsByHour.groups, 'Hour of Day');
+        createTipRateChart('tipBoroughChart', tipsByBorough.groups.map(g => g.group), tipsByBorough.groups, 'Borough');
+        createTipRateChart('tipPaymentChart', tipsByPayment.groups.map(g => g.label), tipsByPayment.groups, 'Payment Type');
+        createFarePerKmChart(farePerKm);
+        
+    } catch (error) {
+        console.error('Error loading economics:', error);
+        showError('Failed to load fare analytics');
+    }
+}
+
+function createFareBreakdownChart(breakdown) {
+    const data = [{
+        x: breakdown.components.map(c => c.component.replace(/_/g, ' ')),
+        y: breakdown.components.map(c => c.avg),
+        type: 'bar',
+        marker: { color: '#9b59b6' },
+        hovertemplate: '%{x}<br>$%{y:.2f} per trip<extra></extra>'
+    }];
+    
+    const layout = {
+        title: '',
+        xaxis: { title: 'Component' },
+        yaxis: { title: 'Average per Trip ($)' },
+        font: { size: 12 },
+        margin: { t: 0, b: 80, l: 50, r: 0 }
+    };
+    
+    Plotly.newPlot('fareBreakdownChart', data, layout, {responsive: true});
+}
+
+function createPaymentShareChart(paymentShare) {
+    const data = [{
+        values: paymentShare.map(p => p.trip_count),
+        labels: paymentShare.map(p => p.label),
+        type: 'pie',
+        textinfo: 'label+percent',
+        marker: {
+            colors: ['#3498db', '#2ecc71', '#e74c3c', '#f39c12', '#9b59b6', '#1abc9c', '#34495e']
+        },
+        hovertemplate: '%{label}<br>%{value} trips (%{percent})<extra></extra>'
+    }];
+    
+    const layout = {
+        title: '',
+        font: { size: 12 },
+        margin: { t: 20, b: 20, l: 20, r: 80 }
+    };
+    
+    Plotly.newPlot('paymentShareChart', data, layout, {responsive: true});
+}
+
+function createTipRateChart(elementId, labels, groups, axisTitle) {
+    const data = [{
+        x: labels,
+        y: groups.map(g => g.avg_tip_rate * 100),
+        type: 'bar',
+        marker: { color: '#2ecc71' },
+        hovertemplate: '%{x}<br>%{y:.1f}% tip rate<extra></extra>'
+    }];
+    
+    const layout = {
+        title: '',
+        xaxis: { title: axisTitle, type: 'category' },
+        yaxis: { title: 'Average Tip Rate (%)' },
+        font: { size: 12 },
+        margin: { t: 0, b: 60, l: 50, r: 0 }
+    };
+    
+    Plotly.newPlot(elementId, data, layout, {responsive: true});
+}
+
+function createFarePerKmChart(distribution) {
+    const data = [{
+        x: distribution.bins.map(b => b.to == null ? `${b.from.toFixed(1)}+` : b.from.toFixed(1)),
+        y: distribution.bins.map(b => b.trip_count),
+        type: 'bar',
+        marker: { color: '#f39c12' }
+    }];
+    
+    const layout = {
+        title: distribution.median != null ? `Median $${distribution.median.toFixed(2)}/km` : '',
+        xaxis: { title: 'Fare per km ($)', type: 'category' },
+        yaxis: { title: 'Number of Trips' },
+        font: { size: 12 },
+        margin: { t: 40, b: 60, l: 50, r: 0 }
+    };
+    
+    Plotly.newPlot('farePerKmChart', data, layout, {responsive: true});
+}
+
+// Feature-space parameters shared by /api/clusters and the elbow sweep.
+function getClusterParams() {
+    const features = Array.from(document.getElementById('clusterFeatures').selectedOptions).map(o => o.value);
+    const params = new URLSearchParams({
+        mode: document.getElementById('clusterMode').value,
+        limit: document.getElementById('sampleSize').value,
+        features: features.join(','),
+        scaling: document.getElementById('clusterScaling').value,
+        metric: document.getElementById('clusterMetric').value,
+        unitMeters: document.getElementById('clusterUnitMeters').value
+    });
+    const weights = document.getElementById('clusterWeights').value.trim();
+    if (weights) params.append('weights', weights);
+    const sampling = document.getElementById('clusterSampling').value;
+    if (sampling === 'uniform') {
+        params.append('sampling', 'uniform');
+    } else {
+        params.append('sampling', 'stratified');
+        params.append('stratifyBy', sampling);
+    }
+    const seed = document.getElementById('clusterSeed').value;
+    if (seed) params.append('seed', seed);
+    return params;
+}
+
+const JOB_POLL_MS = 500;
+
+// Submits a clustering job and polls it until it reaches a final status,
+// rendering a progress bar into `elementId` meanwhile. Resolves with the
+// job result, or null when the job was cancelled.
+async function runClusterJob(type, params, elementId, label) {
+    const response = await fetch('/api/clusters/jobs', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ type, ...Object.fromEntries(params) })
+    });
+    let job = await response.json();
+    if (!response.ok) throw new Error(job.error);
+    
+    while (job.status === 'running') {
+        showJobProgress(elementId, label, job);
+        await new Promise(resolve => setTimeout(resolve, JOB_POLL_MS));
+        const poll = await fetch(`/api/clusters/jobs/${job.id}`);
+        job = await poll.json();
+        if (!poll.ok) throw new Error(job.error);
+    }
+    
+    if (job.status === 'cancelled') {
+        document.getElementById(elementId).innerHTML = `<div class="loading">${label} cancelled</div>`;
+        return null;
+    }
+    if (job.status !== 'completed') throw new Error(job.error);
+    return job.result;
+}
+
+function showJobProgress(elementId, label, job) {
+    const percent = Math.round(job.progress * 100);
+    const stage = job.stage === 'loading' ? 'loading trips' : `${percent}%`;
+    document.getElementById(elementId).innerHTML = `
+        <div class="job-progress">
+            <div class="job-progress-label">${label}: ${stage}</div>
+            <div class="progress-bar"><div class="progress-fill" style="width: ${percent}%"></div></div>
+            <button class="cancel-btn" onclick="cancelClusterJob('${job.id}')">Cancel</button>
+        </div>
+    `;
+}
+
+async function cancelClusterJob(id) {
+    try {
+        await fetch(`/api/clusters/jobs/${id}`, { method: 'DELETE' });
+    } catch (error) {
+        console.error('Error cancelling cluster job:', error);
+    }
 }
 
 async function generateClusters() {
     try {
-        const k = document.getElementById('clusterCount').value;
-        const limit = document.getElementById('sampleSize').value;
+        const algorithm = document.getElementById('clusterAlgorithm').value;
+        const params = getClusterParams();
+        params.append('algorithm', algorithm);
+        if (algorithm === 'dbscan') {
+            params.append('eps', document.getElementById('clusterEps').value);
+            params.append('minPts', document.getElementById('clusterMinPts').value);
+        } else {
+            params.append('k', document.getElementById('clusterCount').value);
+        }
         
-        document.getElementById('clusterInfo').innerHTML = '<div class="loading">Generating clusters...</div>';
+        const data = await runClusterJob('clusters', params, 'clusterInfo', 'Generating clusters');
+        if (!data) return;
         
-        const response = await fetch(`/api/clusters?k=${k}&limit=${limit}`);
-        const data = await response.json();
+        const details = data.algorithm === 'dbscan'
+            ? `DBSCAN eps ${data.eps} m, minPts ${data.minPts}, seed ${data.seed}: ${data.noiseCount} noise points`
+            : `Seed ${data.seed} (best of ${data.nInit} runs)`;
+        const silhouette = data.silhouette === null ? 'n/a' : data.silhouette.toFixed(3);
+        const { sampling } = data;
+        const method = sampling.method === 'stratified' ? `stratified by ${sampling.stratifyBy}` : 'uniform';
         
         document.getElementById('clusterInfo').innerHTML = `
-            <strong>Generated ${data.clusterCount} clusters from ${data.totalPoints} trips</strong>
+            <strong>Generated ${data.clusterCount} clusters from ${data.totalPoints} trips</strong><br>
+            ${method} sample of ${sampling.population.toLocaleString()} matching trips<br>
+            ${details}<br>
+            Inertia ${data.inertia.toExponential(3)} m² · Silhouette ${silhouette}
         `;
         
-        createClusterChart(data.clusters);
+        createClusterChart(data.clusters, data.noise || [], data.features);
+        showCorridors(data.mode === 'od' ? data.clusters : []);
+        showClusterProfiles(data.clusters, data.features);
         
     } catch (error) {
         console.error('Error generating clusters:', error);
@@ -269,12 +709,32 @@ async function generateClusters() {
     }
 }
 
-function createClusterChart(clusters) {
+const CLUSTER_FEATURE_LABELS = {
+    lat: 'Latitude',
+    lon: 'Longitude',
+    duration: 'Duration (s)',
+    dropoff_lat: 'Dropoff Latitude',
+    dropoff_lon: 'Dropoff Longitude',
+    distance_km: 'Distance (km)',
+    speed_kmh: 'Speed (km/h)',
+    hour_of_day: 'Hour of Day',
+    day_of_week: 'Day of Week',
+    passenger_count: 'Passengers',
+    fare_amount: 'Fare ($)',
+    total_amount: 'Total ($)',
+    fare_per_km: 'Fare per km ($)',
+    tip_rate: 'Tip Rate'
+};
+
+function createClusterChart(clusters, noise, features) {
     const colors = ['#e74c3c', '#3498db', '#2ecc71', '#f39c12', '#9b59b6', '#1abc9c', '#34495e', '#e67e22'];
+    const [xFeature, yFeature] = features;
+    // A single feature is drawn as a strip, one row per cluster.
+    const yValues = (points, row) => points.map(point => (yFeature ? point[yFeature] : row));
     
     const traces = clusters.map((cluster, index) => ({
-        x: cluster.map(point => point.lat),
-        y: cluster.map(point => point.lon),
+        x: cluster.points.map(point => point[xFeature]),
+        y: yValues(cluster.points, `Cluster ${index + 1}`),
         mode: 'markers',
         type: 'scatter',
         name: `Cluster ${index + 1}`,
@@ -285,16 +745,171 @@ function createClusterChart(clusters) {
         }
     }));
     
+    if (noise.length > 0) {
+        traces.push({
+            x: noise.map(point => point[xFeature]),
+            y: yValues(noise, 'Noise'),
+            mode: 'markers',
+            type: 'scatter',
+            name: 'Noise',
+            marker: { color: '#95a5a6', size: 5, opacity: 0.4 }
+        });
+    }
+    
     const layout = {
-        title: 'Trip Clusters by Location',
-        xaxis: { title: 'Latitude' },
-        yaxis: { title: 'Longitude' },
+        title: `Trip Clusters by ${features.join(', ')}`,
+        xaxis: { title: CLUSTER_FEATURE_LABELS[xFeature] },
+        yaxis: yFeature ? { title: CLUSTER_FEATURE_LABELS[yFeature] } : { type: 'category' },
         font: { size: 12 }
     };
     
     Plotly.newPlot('clusterChart', traces, layout, {responsive: true});
 }
 
+// Draws each OD cluster as an arrow from its main pickup zone to its main
+// dropoff zone, weighted by the number of trips following it.
+function showCorridors(clusters) {
+    const container = document.getElementById('corridorMap');
+    container.style.display = clusters.length ? 'block' : 'none';
+    if (!clusters.length) return;
+    
+    if (!corridorMap) {
+        corridorMap = L.map('corridorMap').setView([40.7128, -74.0060], 11);
+        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+            attribution: '© OpenStreetMap contributors'
+        }).addTo(corridorMap);
+    }
+    corridorMap.invalidateSize();
+    
+    if (corridorLayer) corridorMap.removeLayer(corridorLayer);
+    corridorLayer = L.featureGroup();
+    
+    const colors = ['#e74c3c', '#3498db', '#2ecc71', '#f39c12', '#9b59b6', '#1abc9c', '#34495e', '#e67e22'];
+    const maxVolume = Math.max(...clusters.map(c => c.corridor.volume));
+    
+    clusters.forEach((cluster, index) => {
+        const { origin, destination, volume, share, typicalDuration } = cluster.corridor;
+        const color = colors[index % colors.length];
+        const from = [origin.lat, origin.lon];
+        const to = [destination.lat, destination.lon];
+        const popup = `
+            <strong>${origin.zone} → ${destination.zone}</strong><br>
+            ${origin.borough} → ${destination.borough}<br>
+            ${volume.toLocaleString()} trips (${(share * 100).toFixed(1)}%)<br>
+            Typical duration: ${Math.round(typicalDuration / 60)} min
+        `;
+        
+        if (origin.locationId === destination.locationId) {
+            L.circleMarker(from, { radius: 6 + 10 * volume / maxVolume, color, fillOpacity: 0.5 })
+                .bindPopup(popup)
+                .addTo(corridorLayer);
+            return;
+        }
+        
+        L.polyline([from, to], { color, weight: 2 + 8 * volume / maxVolume, opacity: 0.8 })
+            .bindPopup(popup)
+            .addTo(corridorLayer);
+        
+        // Arrowhead: a small triangle at the destination pointing along the segment.
+        const angle = Math.atan2(to[0] - from[0], to[1] - from[1]);
+        const size = 0.006;
+        const wing = offset => [
+            to[0] - size * Math.sin(angle + offset),
+            to[1] - size * Math.cos(angle + offset)
+        ];
+        L.polygon([to, wing(0.4), wing(-0.4)], { color, fillColor: color, fillOpacity: 0.9, weight: 1 })
+            .bindPopup(popup)
+            .addTo(corridorLayer);
+    });
+    
+    corridorLayer.addTo(corridorMap);
+    corridorMap.fitBounds(corridorLayer.getBounds(), { padding: [20, 20] });
+}
+
+function showClusterProfiles(clusters, features) {
+    const format = value => Math.abs(value) >= 100 ? value.toFixed(0) : value.toFixed(3);
+    const rows = clusters.map(cluster => `
+        <tr>
+            <td>${cluster.id + 1}</td>
+            <td>${cluster.size.toLocaleString()}</td>
+            <td>${Math.round(cluster.radius.mean).toLocaleString()} / ${Math.round(cluster.radius.p90).toLocaleString()} m</td>
+            ${features.map(feature => {
+                const stat = cluster.stats[feature];
+                return `<td>${format(stat.mean)} / ${format(stat.median)} ± ${format(stat.std)}</td>`;
+            }).join('')}
+            <td>${cluster.dominantBorough.borough} (${(cluster.dominantBorough.share * 100).toFixed(0)}%)</td>
+            <td>${cluster.dominantHour.hour}:00 (${(cluster.dominantHour.share * 100).toFixed(0)}%)</td>
+        </tr>
+    `).join('');
+    
+    document.getElementById('clusterProfiles').innerHTML = `
+        <table class="profile-table">
+            <thead>
+                <tr>
+                    <th>Cluster</th>
+                    <th>Trips</th>
+                    <th>Radius<br><span class="hint">mean / p90</span></th>
+                    ${features.map(feature => `<th>${CLUSTER_FEATURE_LABELS[feature]}<br><span class="hint">mean / median ± std</span></th>`).join('')}
+                    <th>Top Borough</th>
+                    <th>Top Hour</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+async function runClusterSweep() {
+    try {
+        const params = getClusterParams();
+        params.append('kMin', document.getElementById('sweepKMin').value);
+        params.append('kMax', document.getElementById('sweepKMax').value);
+        
+        const data = await runClusterJob('sweep', params, 'elbowChart', 'Running sweep');
+        if (!data) return;
+        
+        createElbowChart(data.sweep);
+        
+    } catch (error) {
+        console.error('Error running cluster sweep:', error);
+        document.getElementById('elbowChart').innerHTML = '';
+        showError('Failed to run cluster sweep');
+    }
+}
+
+function createElbowChart(sweep) {
+    const data = [
+        {
+            x: sweep.map(s => s.k),
+            y: sweep.map(s => s.inertia),
+            type: 'scatter',
+            mode: 'lines+markers',
+            name: 'Inertia',
+            line: { color: '#3498db' }
+        },
+        {
+            x: sweep.map(s => s.k),
+            y: sweep.map(s => s.silhouette),
+            type: 'scatter',
+            mode: 'lines+markers',
+            name: 'Silhouette',
+            yaxis: 'y2',
+            line: { color: '#e74c3c' }
+        }
+    ];
+    
+    const layout = {
+        xaxis: { title: 'k', dtick: 1 },
+        yaxis: { title: 'Inertia (m²)' },
+        yaxis2: { title: 'Silhouette', overlaying: 'y', side: 'right' },
+        legend: { orientation: 'h', y: -0.2 },
+        font: { size: 12 }
+    };
+    
+    document.getElementById('elbowChart').innerHTML = '';
+    Plotly.newPlot('elbowChart', data, layout, {responsive: true});
+}
+
 async function loadInsights() {
     if (!statsData) {
         await loadStats();
@@ -373,6 +988,144 @@ function createSpeedPatternChart() {
     Plotly.newPlot('speedPatternChart', data, layout, {responsive: true});
 }
 
+async function loadDataQuality() {
+    try {
+        const response = await fetch('/api/data-quality');
+        const report = await response.json();
+        
+        createExclusionChart(report);
+        showImportTable(report.imports);
+        
+    } catch (error) {
+        console.error('Error loading data quality:', error);
+        showError('Failed to load data quality report');
+    }
+}
+
+function createExclusionChart(report) {
+    const files = report.imports.map(i => `${i.file_name} (#${i.import_id})`);
+    const data = report.rules.map(({ rule }) => ({
+        x: files,
+        y: report.imports.map(i => {
+            const exclusion = i.exclusions.find(e => e.rule === rule);
+            return exclusion ? exclusion.excluded_count : 0;
+        }),
+        name: rule.replace(/_/g, ' '),
+        type: 'bar'
+    }));
+    
+    const layout = {
+        title: '',
+        barmode: 'stack',
+        xaxis: { title: 'Imported File', automargin: true },
+        yaxis: { title: 'Excluded Rows' },
+        legend: { orientation: 'h', y: -0.4 },
+        font: { size: 12 }
+    };
+    
+    document.getElementById('exclusionChart').innerHTML = '';
+    if (data.length === 0) {
+        document.getElementById('exclusionChart').innerHTML = '<p class="hint">No rows have been excluded.</p>';
+        return;
+    }
+    Plotly.newPlot('exclusionChart', data, layout, {responsive: true});
+}
+
+// Marks imports that loaded a sample or a limited number of a file's trips.
+function importSampleNote(i) {
+    const parts = [];
+    if (i.sample_rate !== null && i.sample_rate < 1) parts.push(`${+(i.sample_rate * 100).toFixed(2)}% sample`);
+    if (i.row_limit !== null) parts.push(`limit ${i.row_limit.toLocaleString()}`);
+    return parts.length ? ` <span class="hint">(${parts.join(', ')})</span>` : '';
+}
+
+function showImportTable(imports) {
+    if (imports.length === 0) {
+        document.getElementById('importTable').innerHTML = '<p class="hint">No trip files have been imported.</p>';
+        return;
+    }
+    
+    const rows = imports.map(i => `
+        <tr class="clickable" onclick="showExclusionSamples(${i.import_id})">
+            <td>${escapeHtml(i.file_name)}${importSampleNote(i)}</td>
+            <td>${i.service}</td>
+            <td>${i.rows_processed.toLocaleString()}</td>
+            <td>${i.rows_valid.toLocaleString()}</td>
+            <td>${i.rows_excluded.toLocaleString()} (${(i.excluded_share * 100).toFixed(1)}%)</td>
+            <td>${i.exclusions.map(e => `${e.rule.replace(/_/g, ' ')}: ${e.excluded_count.toLocaleString()}`).join('<br>') || '-'}</td>
+            <td>${i.finished_at ? new Date(i.finished_at).toLocaleString() : 'Unfinished'}</td>
+        </tr>
+    `).join('');
+    
+    document.getElementById('importTable').innerHTML = `
+        <table class="profile-table">
+            <thead>
+                <tr>
+                    <th>File</th>
+                    <th>Service</th>
+                    <th>Rows Read</th>
+                    <th>Loaded</th>
+                    <th>Excluded</th>
+                    <th>By Rule</th>
+                    <th>Finished</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+async function showExclusionSamples(importId) {
+    const container = document.getElementById('exclusionSamples');
+    container.innerHTML = '<div class="loading">Loading samples...</div>';
+    
+    try {
+        const response = await fetch(`/api/data-quality/${importId}`);
+        const data = await response.json();
+        
+        if (!response.ok) {
+            container.innerHTML = `<p class="hint">${data.error}</p>`;
+            return;
+        }
+        
+        const describeRule = rule => [
+            rule.min !== null ? `${rule.field} >= ${rule.min}` : null,
+            rule.max !== null ? `${rule.field} <= ${rule.max}` : null
+        ].filter(Boolean).join(' and ');
+        const columns = ['tpep_pickup_datetime', 'tpep_dropoff_datetime', 'PULocationID', 'DOLocationID',
+            'passenger_count', 'trip_distance', 'fare_amount', 'total_amount'];
+        
+        const sections = data.exclusions.map(e => `
+            <h4>${e.rule.replace(/_/g, ' ')}: ${e.excluded_count.toLocaleString()} rows (${(e.share * 100).toFixed(2)}%)</h4>
+            <p class="hint">${e.threshold ? `Keeps trips with ${describeRule(e.threshold)}.` : 'Zones and timestamps must be readable and known.'}
+                Showing ${e.samples.length} of ${e.excluded_count.toLocaleString()}.</p>
+            <table class="profile-table">
+                <thead>
+                    <tr><th>Row</th>${columns.map(c => `<th>${c}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${e.samples.map(sample => `
+                        <tr><td>${sample.row}</td>${columns.map(c => `<td>${escapeHtml(sample.record[c] ?? '')}</td>`).join('')}</tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `).join('');
+        
+        container.innerHTML = `
+            <p class="hint">${escapeHtml(data.import.file_name)} (${data.import.service}): rules from ${escapeHtml(data.import.rules_source || 'unknown')}.</p>
+            ${sections || '<p class="hint">No rows were excluded.</p>'}
+        `;
+        
+    } catch (error) {
+        console.error('Error loading exclusion samples:', error);
+        showError('Failed to load exclusion samples');
+    }
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
 function showError(message) {
     const errorDiv = document.createElement('div');
     errorDiv.className = 'error';
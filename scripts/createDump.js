@@ -44,22 +44,24 @@ async function createDatabaseDump() {
 -- Generated: ${new Date().toISOString()}
 -- Database: nyc_taxi_db
 
--- ZONES (from taxi_zone_lookup + taxi_zones centroids)
+-- ZONES (from taxi_zone_lookup + taxi_zones centroids and WGS84 polygons)
 CREATE TABLE zones (
     location_id INTEGER PRIMARY KEY,
     borough VARCHAR(50),
     zone VARCHAR(255),
     service_zone VARCHAR(50),
     centroid_lat DECIMAL(10, 7),
-    centroid_lon DECIMAL(10, 7)
+    centroid_lon DECIMAL(10, 7),
+    geometry JSONB
 );
 
--- TRIPS (TLC yellow_tripdata + derived features)
+-- TRIPS (TLC yellow, green, FHV and HVFHV trip records + derived features)
 CREATE TABLE trips (
     trip_id BIGSERIAL PRIMARY KEY,
+    service_type VARCHAR(10) NOT NULL DEFAULT 'yellow',
     vendor_id INTEGER,
-    tpep_pickup_datetime TIMESTAMP NOT NULL,
-    tpep_dropoff_datetime TIMESTAMP NOT NULL,
+    tpep_pickup_datetime TIMESTAMPTZ NOT NULL,
+    tpep_dropoff_datetime TIMESTAMPTZ NOT NULL,
     passenger_count SMALLINT,
     trip_distance DECIMAL(8, 2),
     rate_code_id SMALLINT,
@@ -75,6 +77,11 @@ CREATE TABLE trips (
     improvement_surcharge DECIMAL(8, 2),
     total_amount DECIMAL(8, 2),
     congestion_surcharge DECIMAL(8, 2),
+    ehail_fee DECIMAL(8, 2),
+    driver_pay DECIMAL(8, 2),
+    hail_type SMALLINT,
+    hvfhs_license_num VARCHAR(10),
+    dispatching_base_num VARCHAR(10),
     trip_duration_sec INTEGER,
     speed_kmh DECIMAL(8, 2),
     fare_per_km DECIMAL(10, 4),
@@ -85,6 +92,7 @@ CREATE TABLE trips (
     pickup_borough VARCHAR(50),
     dropoff_borough VARCHAR(50),
     trip_type VARCHAR(20),
+    import_id INTEGER,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -97,12 +105,61 @@ CREATE INDEX idx_trips_hour ON trips(hour_of_day);
 CREATE INDEX idx_trips_pickup_borough ON trips(pickup_borough);
 CREATE INDEX idx_trips_dropoff_borough ON trips(dropoff_borough);
 CREATE INDEX idx_trips_trip_type ON trips(trip_type);
+CREATE INDEX idx_trips_service_type ON trips(service_type);
+CREATE INDEX idx_trips_import_id ON trips(import_id);
+
+-- Rollup of trips by service x pickup zone x hour x day_of_week x month x trip_type,
+-- refreshed by importData.js after each load
+CREATE MATERIALIZED VIEW trip_rollup AS
+SELECT service_type, pu_location_id, pickup_borough, hour_of_day, day_of_week, month, trip_type,
+       COUNT(*) as trip_count,
+       SUM(trip_duration_sec) as total_duration_sec,
+       SUM(trip_distance * 1.60934) as total_distance_km,
+       SUM(speed_kmh) as total_speed_kmh,
+       SUM(tip_rate) as total_tip_rate,
+       COUNT(trip_distance) as distance_count,
+       COUNT(speed_kmh) as speed_count,
+       COUNT(tip_rate) as tip_rate_count,
+       MIN(tpep_pickup_datetime) as earliest_trip,
+       MAX(tpep_pickup_datetime) as latest_trip
+FROM trips
+GROUP BY service_type, pu_location_id, pickup_borough, hour_of_day, day_of_week, month, trip_type;
+CREATE UNIQUE INDEX idx_trip_rollup_key ON trip_rollup(service_type, pu_location_id, pickup_borough, hour_of_day, day_of_week, month, trip_type);
+
+-- Manifest of imported trip files, written by importData.js
+CREATE TABLE imports (
+    import_id SERIAL PRIMARY KEY,
+    file_name VARCHAR(255) NOT NULL,
+    service_type VARCHAR(10),
+    checksum CHAR(64) NOT NULL,
+    rows_processed INTEGER,
+    rows_valid INTEGER,
+    rows_excluded INTEGER,
+    validation_rules JSONB,
+    row_limit INTEGER,
+    sample_rate DOUBLE PRECISION,
+    sample_seed BIGINT,
+    started_at TIMESTAMPTZ NOT NULL,
+    checkpoint_at TIMESTAMPTZ,
+    finished_at TIMESTAMPTZ
+);
+CREATE INDEX idx_imports_checksum ON imports(checksum);
+
+-- Rows each validation rule excluded from an import, with samples
+CREATE TABLE import_exclusions (
+    import_id INTEGER NOT NULL REFERENCES imports(import_id) ON DELETE CASCADE,
+    rule VARCHAR(50) NOT NULL,
+    excluded_count INTEGER NOT NULL,
+    samples JSONB NOT NULL DEFAULT '[]',
+    PRIMARY KEY (import_id, rule)
+);
 
 -- Sample zones (${zonesData.rows.length} rows)
 `;
         if (zonesData.rows.length > 0) {
-            out += 'INSERT INTO zones (location_id, borough, zone, service_zone, centroid_lat, centroid_lon) VALUES\n';
-            out += zonesData.rows.map(r => `(${r.location_id},${escape(r.borough)},${escape(r.zone)},${escape(r.service_zone)},${r.centroid_lat ?? 'NULL'},${r.centroid_lon ?? 'NULL'})`).join(',\n') + ';\n\n';
+            const geometry = g => (g == null ? 'NULL' : `${escape(JSON.stringify(g))}::jsonb`);
+            out += 'INSERT INTO zones (location_id, borough, zone, service_zone, centroid_lat, centroid_lon, geometry) VALUES\n';
+            out += zonesData.rows.map(r => `(${r.location_id},${escape(r.borough)},${escape(r.zone)},${escape(r.service_zone)},${r.centroid_lat ?? 'NULL'},${r.centroid_lon ?? 'NULL'},${geometry(r.geometry)})`).join(',\n') + ';\n\n';
         }
 
         out += `-- Sample trips (${tripsData.rows.length} rows)\n`;
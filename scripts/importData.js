@@ -1,7 +1,15 @@
+require('dotenv').config();
 const { Pool } = require('pg');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const csv = require('csv-parser');
+const { SERVICE_TYPES, ADAPTERS, serviceForFile } = require('../lib/tripSchemas');
+const { CopyLoader } = require('../lib/copyLoader');
+const { loadValidationRules, failedRule } = require('../lib/validationRules');
+const { parseNycTimestamp, nycParts } = require('../lib/nycTime');
+const { parseCli, positiveInt, nonNegativeInt, fraction, listOf, existingPath } = require('../lib/cli');
+const { TRIP_INDEXES } = require('./setupDatabase');
 
 const dbConfig = {
     host: process.env.DB_HOST || 'localhost',
@@ -14,11 +22,16 @@ const dbConfig = {
 const pool = new Pool(dbConfig);
 
 const MILES_TO_KM = 1.60934;
-const BATCH_SIZE = 2000;
+// Derived speeds above this are GPS or clock noise and are stored capped.
+const MAX_SPEED_KMH = 200;
+const DEFAULT_BATCH_SIZE = 10000;
+const DEFAULT_COMMIT_SIZE = 100000;
+const DEFAULT_SAMPLE_SEED = 1;
 const LOG_PATH = path.resolve(process.cwd(), 'logs');
 const EXCLUSION_LOG = path.join(LOG_PATH, 'excluded_records.log');
 
 let zoneMap = null;
+let validationRules = null;
 
 function ensureLogDir() {
     if (!fs.existsSync(LOG_PATH)) fs.mkdirSync(LOG_PATH, { recursive: true });
@@ -42,28 +55,6 @@ function parseIntStrict(val, def) {
     return isNaN(n) ? def : n;
 }
 
-function parseTimestamp(val) {
-    if (!val) return null;
-    const d = new Date(val);
-    return isNaN(d.getTime()) ? null : d;
-}
-
-function getHourFromTimestamp(val) {
-    if (val == null || val === '') return 0;
-    const s = String(val).trim();
-    const match = s.match(/^\d{4}-\d{2}-\d{2}\s(\d{1,2}):/);
-    if (match) return parseInt(match[1], 10) % 24;
-    const d = new Date(val);
-    return isNaN(d.getTime()) ? 0 : d.getHours();
-}
-
-function getDayMonthFromTimestamp(val) {
-    if (val == null || val === '') return { day: 0, month: 1 };
-    const d = new Date(val);
-    if (isNaN(d.getTime())) return { day: 0, month: 1 };
-    return { day: d.getDay(), month: d.getMonth() + 1 };
-}
-
 async function loadZoneMap(client) {
     const res = await client.query('SELECT location_id, borough, zone, service_zone FROM zones');
     const map = new Map();
@@ -71,222 +62,623 @@ async function loadZoneMap(client) {
     return map;
 }
 
-function isValidTrip(row) {
+function rulesFor(service) {
+    if (!validationRules) validationRules = loadValidationRules();
+    return validationRules.services[service];
+}
+
+// `row` is an adapter row (see lib/tripSchemas.js). Zones and timestamps
+// must resolve; everything else is checked against `rules`, the service's
+// configured range rules (lib/validationRules.js). Passenger count, distance
+// and fares are stored as NULL for services that do not report them.
+function isValidTrip(row, rules = rulesFor(row.service_type || 'yellow')) {
+    const { measures } = ADAPTERS[row.service_type || 'yellow'];
     const pu = parseIntStrict(row.PULocationID, NaN);
     const doLoc = parseIntStrict(row.DOLocationID, NaN);
     if (!zoneMap || !zoneMap.has(pu) || !zoneMap.has(doLoc)) return { ok: false, reason: 'invalid_or_unknown_zone' };
-    const pickup = parseTimestamp(row.tpep_pickup_datetime);
-    const dropoff = parseTimestamp(row.tpep_dropoff_datetime);
+    const pickup = parseNycTimestamp(row.tpep_pickup_datetime);
+    const dropoff = parseNycTimestamp(row.tpep_dropoff_datetime);
     if (!pickup || !dropoff) return { ok: false, reason: 'invalid_timestamp' };
     const durationSec = Math.round((dropoff - pickup) / 1000);
-    if (durationSec < 60 || durationSec > 86400) return { ok: false, reason: 'duration_out_of_range' };
-    const passengers = parseIntStrict(row.passenger_count, -1);
-    if (passengers < 0 || passengers > 9) return { ok: false, reason: 'invalid_passenger_count' };
-    const tripDistance = parseNum(row.trip_distance, -1);
-    if (tripDistance < 0 || tripDistance > 500) return { ok: false, reason: 'trip_distance_out_of_range' };
-    const fareAmount = parseNum(row.fare_amount, -1);
-    if (fareAmount < 0 || fareAmount > 10000) return { ok: false, reason: 'fare_out_of_range' };
-    const totalAmount = parseNum(row.total_amount, -1);
-    if (totalAmount < 0 || totalAmount > 10000) return { ok: false, reason: 'total_amount_out_of_range' };
+    const passengers = measures.passengers ? parseIntStrict(row.passenger_count, NaN) : null;
+    const tripDistance = measures.distance ? parseNum(row.trip_distance, NaN) : null;
+    const fareAmount = measures.fares ? parseNum(row.fare_amount, NaN) : null;
+    const totalAmount = measures.fares ? parseNum(row.total_amount, NaN) : null;
+    const reason = failedRule(rules, {
+        trip_duration_sec: durationSec,
+        passenger_count: passengers,
+        trip_distance: tripDistance,
+        fare_amount: fareAmount,
+        total_amount: totalAmount
+    });
+    if (reason) return { ok: false, reason };
     return { ok: true, durationSec, tripDistance, fareAmount, totalAmount, pu, do: doLoc, pickup, dropoff, passengers, row };
 }
 
 function enrich(row, ctx) {
-    const tipAmount = parseNum(row.tip_amount, 0);
+    const hasFares = ctx.totalAmount !== null;
+    const tipAmount = hasFares ? parseNum(row.tip_amount, 0) : null;
     const totalAmount = ctx.totalAmount;
-    const tipRate = totalAmount > 0 ? tipAmount / totalAmount : 0;
-    const distanceKm = ctx.tripDistance * MILES_TO_KM;
+    const tipRate = !hasFares ? null : totalAmount > 0 ? tipAmount / totalAmount : 0;
+    const distanceKm = ctx.tripDistance !== null ? ctx.tripDistance * MILES_TO_KM : null;
     const durationHours = ctx.durationSec / 3600;
-    const speedKmh = durationHours > 0 ? distanceKm / durationHours : 0;
-    const farePerKm = distanceKm > 0 ? ctx.fareAmount / distanceKm : 0;
+    const speedKmh = distanceKm === null ? null : durationHours > 0 ? distanceKm / durationHours : 0;
+    const farePerKm = distanceKm === null || ctx.fareAmount === null ? null : distanceKm > 0 ? ctx.fareAmount / distanceKm : 0;
+    const fee = (value) => (hasFares ? parseNum(value, 0) : null);
     const puZone = zoneMap.get(ctx.pu);
     const doZone = zoneMap.get(ctx.do);
     const pickupBorough = puZone ? puZone.borough : '';
     const dropoffBorough = doZone ? doZone.borough : '';
     let tripType = 'Within Borough';
     if (pickupBorough && dropoffBorough && pickupBorough !== dropoffBorough) tripType = 'Cross Borough';
-    const dm = getDayMonthFromTimestamp(row.tpep_pickup_datetime);
+    const pickupTime = nycParts(ctx.pickup);
     return {
+        service_type: row.service_type || 'yellow',
         vendor_id: parseIntStrict(row.VendorID, null),
         tpep_pickup_datetime: ctx.pickup,
         tpep_dropoff_datetime: ctx.dropoff,
         passenger_count: ctx.passengers,
         trip_distance: ctx.tripDistance,
         rate_code_id: parseIntStrict(row.RatecodeID, null),
-        store_and_fwd_flag: (row.store_and_fwd_flag || 'N').toString().trim().charAt(0) || null,
+        store_and_fwd_flag: row.store_and_fwd_flag === undefined ? null : (row.store_and_fwd_flag || 'N').toString().trim().charAt(0) || null,
         pu_location_id: ctx.pu,
         do_location_id: ctx.do,
         payment_type: parseIntStrict(row.payment_type, null),
         fare_amount: ctx.fareAmount,
-        extra: parseNum(row.extra, 0),
-        mta_tax: parseNum(row.mta_tax, 0),
+        extra: fee(row.extra),
+        mta_tax: fee(row.mta_tax),
         tip_amount: tipAmount,
-        tolls_amount: parseNum(row.tolls_amount, 0),
-        improvement_surcharge: parseNum(row.improvement_surcharge, 0),
+        tolls_amount: fee(row.tolls_amount),
+        improvement_surcharge: fee(row.improvement_surcharge),
         total_amount: totalAmount,
-        congestion_surcharge: parseNum(row.congestion_surcharge, 0),
+        congestion_surcharge: fee(row.congestion_surcharge),
+        ehail_fee: parseNum(row.ehail_fee, null),
+        driver_pay: parseNum(row.driver_pay, null),
+        hail_type: parseIntStrict(row.hail_type, null),
+        hvfhs_license_num: row.hvfhs_license_num || null,
+        dispatching_base_num: row.dispatching_base_num || null,
         trip_duration_sec: ctx.durationSec,
-        speed_kmh: Math.min(200, speedKmh),
+        speed_kmh: speedKmh === null ? null : Math.min(MAX_SPEED_KMH, speedKmh),
         fare_per_km: farePerKm,
         tip_rate: tipRate,
-        hour_of_day: getHourFromTimestamp(row.tpep_pickup_datetime),
-        day_of_week: dm.day,
-        month: dm.month,
+        hour_of_day: pickupTime.hour,
+        day_of_week: pickupTime.dayOfWeek,
+        month: pickupTime.month,
         pickup_borough: pickupBorough,
         dropoff_borough: dropoffBorough,
         trip_type: tripType
     };
 }
 
-async function insertBatch(client, batch) {
-    if (batch.length === 0) return;
-    const cols = `vendor_id,tpep_pickup_datetime,tpep_dropoff_datetime,passenger_count,trip_distance,rate_code_id,
-store_and_fwd_flag,pu_location_id,do_location_id,payment_type,fare_amount,extra,mta_tax,tip_amount,tolls_amount,
-improvement_surcharge,total_amount,congestion_surcharge,trip_duration_sec,speed_kmh,fare_per_km,tip_rate,
-hour_of_day,day_of_week,month,pickup_borough,dropoff_borough,trip_type`;
-    const placeholders = batch.map((_, i) => {
-        const base = i * 28;
-        return `($${base+1},$${base+2},$${base+3},$${base+4},$${base+5},$${base+6},$${base+7},$${base+8},$${base+9},$${base+10},$${base+11},$${base+12},$${base+13},$${base+14},$${base+15},$${base+16},$${base+17},$${base+18},$${base+19},$${base+20},$${base+21},$${base+22},$${base+23},$${base+24},$${base+25},$${base+26},$${base+27},$${base+28})`;
-    }).join(',');
-    const values = batch.flatMap(r => [
-        r.vendor_id, r.tpep_pickup_datetime, r.tpep_dropoff_datetime, r.passenger_count, r.trip_distance,
-        r.rate_code_id, r.store_and_fwd_flag, r.pu_location_id, r.do_location_id, r.payment_type,
-        r.fare_amount, r.extra, r.mta_tax, r.tip_amount, r.tolls_amount, r.improvement_surcharge,
-        r.total_amount, r.congestion_surcharge, r.trip_duration_sec, r.speed_kmh, r.fare_per_km, r.tip_rate,
-        r.hour_of_day, r.day_of_week, r.month, r.pickup_borough, r.dropoff_borough, r.trip_type
-    ]);
-    await client.query(
-        `INSERT INTO trips (${cols.replace(/\s+/g, ' ')}) VALUES ${placeholders}`,
-        values
+async function refreshRollup(client) {
+    const started = Date.now();
+    await client.query('REFRESH MATERIALIZED VIEW CONCURRENTLY trip_rollup');
+    console.log(`Refreshed trip_rollup in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+}
+
+const TRIP_COLUMNS = [
+    'service_type', 'vendor_id', 'tpep_pickup_datetime', 'tpep_dropoff_datetime', 'passenger_count', 'trip_distance',
+    'rate_code_id', 'store_and_fwd_flag', 'pu_location_id', 'do_location_id', 'payment_type', 'fare_amount', 'extra',
+    'mta_tax', 'tip_amount', 'tolls_amount', 'improvement_surcharge', 'total_amount', 'congestion_surcharge',
+    'ehail_fee', 'driver_pay', 'hail_type', 'hvfhs_license_num', 'dispatching_base_num', 'trip_duration_sec',
+    'speed_kmh', 'fare_per_km', 'tip_rate', 'hour_of_day', 'day_of_week', 'month', 'pickup_borough',
+    'dropoff_borough', 'trip_type', 'import_id'
+];
+
+const elapsedSeconds = started => (Date.now() - started) / 1000;
+const rowsPerSecond = (rows, seconds) => Math.round(seconds > 0 ? rows / seconds : rows);
+
+// idx_trips_import_id stays: each file's closing check counts its trips by it.
+const DEFERRED_INDEXES = Object.keys(TRIP_INDEXES).filter(name => name !== 'idx_trips_import_id');
+
+async function dropIndexes(client) {
+    for (const name of DEFERRED_INDEXES) await client.query(`DROP INDEX IF EXISTS ${name}`);
+    console.log(`Dropped ${DEFERRED_INDEXES.length} trips indexes until the load finishes`);
+}
+
+// Creates whichever trips indexes are missing: all of them after a deferred
+// load, or those a deferred load left dropped when it was interrupted.
+async function createIndexes(client) {
+    const res = await client.query(
+        "SELECT indexname FROM pg_indexes WHERE schemaname = current_schema() AND tablename = 'trips'"
     );
+    const existing = new Set(res.rows.map(r => r.indexname));
+    const missing = Object.entries(TRIP_INDEXES).filter(([name]) => !existing.has(name));
+    if (missing.length === 0) return;
+    const started = Date.now();
+    for (const [name, target] of missing) await client.query(`CREATE INDEX IF NOT EXISTS ${name} ON ${target}`);
+    console.log(`Rebuilt ${missing.length} trips indexes in ${elapsedSeconds(started).toFixed(1)}s`);
 }
 
-function findTripFile() {
-    const dir = process.cwd();
-    const parquets = fs.readdirSync(dir).filter(f => /yellow_tripdata.*\.parquet$/i.test(f));
-    if (parquets.length) return { path: path.join(dir, parquets[0]), format: 'parquet' };
-    const csvs = fs.readdirSync(dir).filter(f => /yellow_tripdata.*\.csv$/i.test(f));
-    if (csvs.length) return { path: path.join(dir, csvs[0]), format: 'csv' };
+function formatOf(file) {
+    const ext = path.extname(file).toLowerCase();
+    if (ext === '.parquet') return 'parquet';
+    if (ext === '.csv') return 'csv';
     return null;
 }
 
-function rowFromParquetRecord(rec) {
-    const toStr = v => v != null ? String(v) : '';
-    return {
-        VendorID: rec.VendorID,
-        tpep_pickup_datetime: rec.tpep_pickup_datetime != null ? new Date(rec.tpep_pickup_datetime).toISOString().replace('T', ' ').slice(0, 19) : '',
-        tpep_dropoff_datetime: rec.tpep_dropoff_datetime != null ? new Date(rec.tpep_dropoff_datetime).toISOString().replace('T', ' ').slice(0, 19) : '',
-        passenger_count: rec.passenger_count,
-        trip_distance: rec.trip_distance,
-        RatecodeID: rec.RatecodeID,
-        store_and_fwd_flag: toStr(rec.store_and_fwd_flag),
-        PULocationID: rec.PULocationID,
-        DOLocationID: rec.DOLocationID,
-        payment_type: rec.payment_type,
-        fare_amount: rec.fare_amount,
-        extra: rec.extra,
-        mta_tax: rec.mta_tax,
-        tip_amount: rec.tip_amount,
-        tolls_amount: rec.tolls_amount,
-        improvement_surcharge: rec.improvement_surcharge,
-        total_amount: rec.total_amount,
-        congestion_surcharge: rec.congestion_surcharge
-    };
+// Only the last path segment may hold wildcards: `*` matches any run of
+// characters and `?` a single one.
+function globToRegExp(pattern) {
+    const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+function expandSource(source) {
+    const resolved = path.resolve(source);
+    if (/[*?]/.test(path.basename(resolved))) {
+        const dir = path.dirname(resolved);
+        const pattern = globToRegExp(path.basename(resolved));
+        if (!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir).filter(f => pattern.test(f) && formatOf(f) && serviceForFile(f)).map(f => path.join(dir, f));
+    }
+    if (!fs.existsSync(resolved)) throw new Error(`No such file or directory: ${source}`);
+    if (fs.statSync(resolved).isDirectory()) {
+        return fs.readdirSync(resolved).filter(f => formatOf(f) && serviceForFile(f)).map(f => path.join(resolved, f));
+    }
+    return [resolved];
 }
 
-async function importFromCsv(client, tripPath) {
-    let processed = 0, valid = 0, invalid = 0;
-    let batch = [];
+// Files from every source, sorted by path so monthly files load in order. A
+// CSV is dropped when a parquet file of the same name sits next to it, since
+// both hold the same month. The service comes from the TLC file name prefix,
+// and only files of `services` are kept.
+function findTripFiles(sources, services = SERVICE_TYPES) {
+    const paths = [...new Set(sources.flatMap(expandSource))];
+    const stems = new Set(paths.filter(p => formatOf(p) === 'parquet').map(p => p.slice(0, -path.extname(p).length)));
+    return paths
+        .filter(p => formatOf(p) !== 'csv' || !stems.has(p.slice(0, -path.extname(p).length)))
+        .sort()
+        .map(p => {
+            const service = serviceForFile(path.basename(p));
+            if (!service) {
+                throw new Error(`Cannot tell the service of ${p}: expected a ${SERVICE_TYPES.map(s => `${s}_tripdata_*`).join(', ')} file`);
+            }
+            return { path: p, format: formatOf(p) || 'csv', service };
+        })
+        .filter(found => services.includes(found.service));
+}
+
+function fileChecksum(filePath) {
     return new Promise((resolve, reject) => {
-        fs.createReadStream(tripPath)
-            .pipe(csv())
-            .on('data', async (row) => {
-                processed++;
-                if (processed % 50000 === 0) console.log(`Processed ${processed}...`);
-                const result = isValidTrip(row);
-                if (!result.ok) {
-                    invalid++;
-                    if (invalid <= 5000) logExclusion(result.reason, row);
-                    return;
-                }
-                batch.push(enrich(row, result));
-                valid++;
-                if (batch.length >= BATCH_SIZE) {
-                    await insertBatch(client, batch);
-                    batch = [];
-                }
-            })
-            .on('end', async () => {
-                if (batch.length > 0) await insertBatch(client, batch);
-                resolve({ processed, valid, invalid });
-            })
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
             .on('error', reject);
     });
 }
 
-async function importFromParquet(client, tripPath) {
-    const parquet = require('parquetjs-lite');
-    let processed = 0, valid = 0, invalid = 0;
-    let batch = [];
-    const reader = await parquet.ParquetReader.openFile(tripPath);
-    const cursor = reader.getCursor();
-    let record;
-    while ((record = await cursor.next())) {
-        processed++;
-        if (processed % 50000 === 0) console.log(`Processed ${processed}...`);
-        const row = rowFromParquetRecord(record);
-        const result = isValidTrip(row);
-        if (!result.ok) {
-            invalid++;
-            if (invalid <= 5000) logExclusion(result.reason, row);
-            continue;
+async function findImport(client, checksum) {
+    const res = await client.query(
+        'SELECT file_name, finished_at, row_limit, sample_rate FROM imports WHERE checksum = $1 AND finished_at IS NOT NULL ORDER BY finished_at DESC LIMIT 1',
+        [checksum]
+    );
+    return res.rows[0] || null;
+}
+
+// An import of this file that never finished. Its counts are the checkpoint
+// committed with the last batch that made it in.
+async function findUnfinishedImport(client, checksum) {
+    const res = await client.query(
+        `SELECT import_id, file_name, rows_processed, rows_valid, rows_excluded, validation_rules,
+                row_limit, sample_rate, sample_seed FROM imports
+         WHERE checksum = $1 AND finished_at IS NULL ORDER BY import_id DESC LIMIT 1`,
+        [checksum]
+    );
+    return res.rows[0] || null;
+}
+
+// Removes every import of this file, finished or not, along with the trips
+// they loaded and their exclusions, so a reload replaces them.
+async function discardImports(client, checksum) {
+    await client.query('BEGIN');
+    try {
+        const trips = await client.query(
+            'DELETE FROM trips WHERE import_id IN (SELECT import_id FROM imports WHERE checksum = $1)',
+            [checksum]
+        );
+        await client.query(
+            'DELETE FROM import_exclusions WHERE import_id IN (SELECT import_id FROM imports WHERE checksum = $1)',
+            [checksum]
+        );
+        const imports = await client.query('DELETE FROM imports WHERE checksum = $1', [checksum]);
+        await client.query('COMMIT');
+        return { imports: imports.rowCount, trips: trips.rowCount };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    }
+}
+
+async function loadExclusions(client, importId) {
+    const res = await client.query('SELECT rule, excluded_count, samples FROM import_exclusions WHERE import_id = $1', [importId]);
+    return new Map(res.rows.map(r => [r.rule, { count: r.excluded_count, samples: r.samples, changed: false }]));
+}
+
+// Writes the per-rule counts and samples that changed since the last save.
+async function saveExclusions(client, importId, exclusions) {
+    for (const [rule, entry] of exclusions) {
+        if (!entry.changed) continue;
+        await client.query(
+            `INSERT INTO import_exclusions (import_id, rule, excluded_count, samples) VALUES ($1, $2, $3, $4::jsonb)
+             ON CONFLICT (import_id, rule) DO UPDATE SET excluded_count = EXCLUDED.excluded_count, samples = EXCLUDED.samples`,
+            [importId, rule, entry.count, JSON.stringify(entry.samples, (key, value) => (typeof value === 'bigint' ? Number(value) : value))]
+        );
+        entry.changed = false;
+    }
+}
+
+// Whether the record at `position` of `fileName` is in a sample of `rate`.
+// The choice hashes the file name and position with the seed, so the same
+// rate and seed pick the same trips on every machine and when an import
+// resumes, while each monthly file gets its own.
+function inSample(fileName, position, rate, seed) {
+    if (rate >= 1) return true;
+    const hash = crypto.createHash('md5').update(`${fileName}:${position}:${seed}`).digest();
+    return hash.readUInt32BE(0) / 0x100000000 < rate;
+}
+
+// Raw records of a trip file, one at a time. The CSV parser is iterated
+// rather than listened to, so reading waits while the loader is busy.
+async function* readRecords(found) {
+    if (found.format === 'parquet') {
+        const parquet = require('parquetjs-lite');
+        const reader = await parquet.ParquetReader.openFile(found.path);
+        try {
+            const cursor = reader.getCursor();
+            let record;
+            while ((record = await cursor.next())) yield record;
+        } finally {
+            await reader.close();
         }
-        batch.push(enrich(row, result));
-        valid++;
-        if (batch.length >= BATCH_SIZE) {
-            await insertBatch(client, batch);
-            batch = [];
+        return;
+    }
+    const input = fs.createReadStream(found.path);
+    const parser = input.pipe(csv());
+    // pipe() does not forward read errors; failing the parser throws them from the loop.
+    input.on('error', error => parser.destroy(error));
+    try {
+        yield* parser;
+    } finally {
+        input.destroy();
+    }
+}
+
+// Stands in for the CopyLoader when a dry run only counts.
+const DRY_RUN_LOADER = { add: async () => {}, finish: async () => {}, abort: async () => {} };
+
+// Loads one file into trips for the import `imp`. Each COPY batch updates the
+// import's counts and per-rule exclusions in the same transaction, so what is
+// committed always says how far into the file the committed rows go. When
+// resuming, `imp` holds that checkpoint and its first `processed` records are
+// read past without loading. Records outside the import's sample are read
+// past too, and reading stops once `limit` trips are valid. A dry run
+// validates every record but loads and logs nothing.
+async function loadFile(client, found, imp, { batchSize, commitSize, dryRun }) {
+    const adapter = ADAPTERS[found.service];
+    const fileName = path.basename(found.path);
+    const started = Date.now();
+    const exclusions = imp.exclusions;
+    let position = 0, processed = imp.processed, valid = imp.valid, invalid = imp.invalid;
+    const loader = dryRun ? DRY_RUN_LOADER : new CopyLoader(client, {
+        table: 'trips',
+        columns: TRIP_COLUMNS,
+        batchSize,
+        commitSize,
+        onBatch: async batchClient => {
+            await batchClient.query(
+                `UPDATE imports SET rows_processed = $2, rows_valid = $3, rows_excluded = $4, checkpoint_at = NOW()
+                 WHERE import_id = $1`,
+                [imp.importId, processed, valid, invalid]
+            );
+            await saveExclusions(batchClient, imp.importId, exclusions);
         }
+    });
+    try {
+        for await (const record of readRecords(found)) {
+            if (imp.limit !== null && valid >= imp.limit) break;
+            position++;
+            if (position <= imp.processed) continue;
+            processed = position;
+            if (processed % 50000 === 0) {
+                console.log(`Processed ${processed} (${rowsPerSecond(valid - imp.valid, elapsedSeconds(started))} rows/s)...`);
+            }
+            if (!inSample(fileName, position, imp.sampleRate, imp.sampleSeed)) continue;
+            const row = { ...adapter.toRow(record), service_type: found.service };
+            const result = isValidTrip(row, imp.rules);
+            if (!result.ok) {
+                invalid++;
+                if (invalid <= 5000 && !dryRun) logExclusion(result.reason, row);
+                if (!exclusions.has(result.reason)) exclusions.set(result.reason, { count: 0, samples: [], changed: true });
+                const entry = exclusions.get(result.reason);
+                entry.count++;
+                if (entry.samples.length < imp.sampleSize) entry.samples.push({ row: position, record: row });
+                entry.changed = true;
+                continue;
+            }
+            valid++;
+            await loader.add({ ...enrich(row, result), import_id: imp.importId });
+        }
+        await loader.finish();
+    } catch (error) {
+        await loader.abort().catch(() => {});
+        throw error;
     }
-    await reader.close();
-    if (batch.length > 0) await insertBatch(client, batch);
-    return { processed, valid, invalid };
+    return { processed, valid, invalid, exclusions, loaded: valid - imp.valid, seconds: elapsedSeconds(started) };
 }
 
-async function importData() {
-    ensureLogDir();
-    const found = findTripFile();
-    if (!found) {
-        console.error('No yellow_tripdata_*.csv or yellow_tripdata_*.parquet found in project root');
+// The import's closing writes, in one transaction: the last exclusions, a
+// check that trips holds exactly the valid rows counted, and the final
+// counts. A mismatch leaves the import unfinished rather than recording
+// counts that are wrong.
+async function finishImport(client, fileName, importId, stats) {
+    await client.query('BEGIN');
+    try {
+        await saveExclusions(client, importId, stats.exclusions);
+        const loaded = await client.query('SELECT COUNT(*) AS count FROM trips WHERE import_id = $1', [importId]);
+        if (parseInt(loaded.rows[0].count) !== stats.valid) {
+            throw new Error(`${fileName}: counted ${stats.valid} valid rows but trips holds ${loaded.rows[0].count} for import ${importId}`);
+        }
+        await client.query(
+            `UPDATE imports SET rows_processed = $2, rows_valid = $3, rows_excluded = $4, finished_at = NOW()
+             WHERE import_id = $1`,
+            [importId, stats.processed, stats.valid, stats.invalid]
+        );
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    }
+}
+
+const percent = (count, total) => `${(total > 0 ? (100 * count) / total : 0).toFixed(1)}%`;
+
+// ", a 10% sample (seed 1), at most 5000 trips" for a partial import.
+function describeSample({ limit, sampleRate, sampleSeed }) {
+    const parts = [];
+    if (sampleRate < 1) parts.push(`a ${+(sampleRate * 100).toFixed(4)}% sample${sampleSeed == null ? '' : ` (seed ${sampleSeed})`}`);
+    if (limit !== null) parts.push(`at most ${limit} trips`);
+    return parts.length ? `, ${parts.join(', ')}` : '';
+}
+
+// Per-rule exclusions, most frequent first, as a share of the rows checked.
+function printExclusions(exclusions, checked) {
+    [...exclusions].sort((a, b) => b[1].count - a[1].count).forEach(([rule, entry]) => {
+        console.log(`  ${rule}: ${entry.count} (${percent(entry.count, checked)})`);
+    });
+}
+
+// The import `found` loads into: a new one, or an unfinished one resumed
+// from its checkpoint. Returns null when the file is already imported.
+// With force, earlier imports of the file and their trips are discarded
+// and it loads from the start.
+async function startImport(client, found, checksum, options) {
+    const fileName = path.basename(found.path);
+    if (options.force) {
+        const removed = await discardImports(client, checksum);
+        if (removed.imports > 0) console.log(`Discarded ${removed.imports} earlier import(s) of ${fileName} and their ${removed.trips} rows`);
+    }
+    const unfinished = await findUnfinishedImport(client, checksum);
+    const previous = unfinished ? null : await findImport(client, checksum);
+    if (previous) {
+        const sample = describeSample({ limit: previous.row_limit, sampleRate: previous.sample_rate });
+        console.log(`Skipping ${fileName}: already imported as ${previous.file_name}${sample} ` +
+            `on ${previous.finished_at.toISOString()} (use --force to reload, or --truncate to start over)`);
+        return null;
+    }
+
+    // A resumed import keeps the rules and sample it started with, so its
+    // counts never mix two versions of either.
+    if (unfinished) {
+        const { rules, sampleSize } = unfinished.validation_rules;
+        const imp = {
+            importId: unfinished.import_id,
+            rules,
+            sampleSize,
+            limit: unfinished.row_limit,
+            sampleRate: unfinished.sample_rate,
+            sampleSeed: unfinished.sample_seed === null ? null : Number(unfinished.sample_seed),
+            processed: unfinished.rows_processed,
+            valid: unfinished.rows_valid,
+            invalid: unfinished.rows_excluded,
+            exclusions: await loadExclusions(client, unfinished.import_id)
+        };
+        console.log(`\nResuming ${found.path} (${found.service}, ${found.format}${describeSample(imp)}) after row ${imp.processed}`);
+        return imp;
+    }
+
+    const applied = {
+        source: validationRules.source,
+        sampleSize: validationRules.sampleSize,
+        rules: validationRules.services[found.service]
+    };
+    const { limit, sampleRate } = options;
+    const sampleSeed = sampleRate < 1 ? options.sampleSeed : null;
+    console.log(`\nImporting ${found.path} (${found.service}, ${found.format}${describeSample(options)})`);
+    const started = await client.query(
+        `INSERT INTO imports (file_name, service_type, checksum, rows_processed, rows_valid, rows_excluded, validation_rules,
+                              row_limit, sample_rate, sample_seed, started_at)
+         VALUES ($1, $2, $3, 0, 0, 0, $4::jsonb, $5, $6, $7, NOW()) RETURNING import_id`,
+        [fileName, found.service, checksum, JSON.stringify(applied), limit, sampleRate, sampleSeed]
+    );
+    return {
+        importId: started.rows[0].import_id, ...applied, limit, sampleRate, sampleSeed,
+        processed: 0, valid: 0, invalid: 0, exclusions: new Map()
+    };
+}
+
+// Validates `found` as an import of it would, with the current rules and
+// the requested sample, and writes nothing.
+async function checkFile(client, found, checksum, options) {
+    const { limit, sampleRate, sampleSeed } = options;
+    console.log(`\nChecking ${found.path} (${found.service}, ${found.format}${describeSample(options)})`);
+    const previous = await findImport(client, checksum);
+    if (previous) console.log(`Already imported as ${previous.file_name} on ${previous.finished_at.toISOString()}`);
+    return {
+        importId: null,
+        rules: validationRules.services[found.service],
+        sampleSize: validationRules.sampleSize,
+        limit, sampleRate, sampleSeed,
+        processed: 0, valid: 0, invalid: 0, exclusions: new Map()
+    };
+}
+
+async function importFile(client, found, options) {
+    const fileName = path.basename(found.path);
+    const checksum = await fileChecksum(found.path);
+    const imp = options.dryRun ? await checkFile(client, found, checksum, options) : await startImport(client, found, checksum, options);
+    if (!imp) return null;
+
+    const stats = await loadFile(client, found, imp, options);
+    if (!options.dryRun) await finishImport(client, fileName, imp.importId, stats);
+
+    const checked = stats.valid + stats.invalid;
+    console.log(`${fileName}: processed ${stats.processed}${checked < stats.processed ? `, sampled ${checked}` : ''}, ` +
+        `valid ${stats.valid}, excluded ${stats.invalid} (${percent(stats.invalid, checked)}) ` +
+        `in ${stats.seconds.toFixed(1)}s (${rowsPerSecond(stats.loaded, stats.seconds)} rows/s)`);
+    printExclusions(stats.exclusions, checked);
+    return stats;
+}
+
+// Empties trips and the import manifest, so the files load from scratch.
+async function truncateTrips(client) {
+    await client.query('TRUNCATE trips, import_exclusions, imports RESTART IDENTITY');
+    console.log('Truncated trips and the import manifest');
+}
+
+// Loads the trip files in `sources`, skipping finished imports and resuming
+// unfinished ones; the options mirror the CLI flags (see parseCliArgs).
+async function importData({
+    sources = [process.cwd()],
+    services = SERVICE_TYPES,
+    force = false,
+    truncate = false,
+    dryRun = false,
+    limit = null,
+    sampleRate = 1,
+    sampleSeed = DEFAULT_SAMPLE_SEED,
+    batchSize = DEFAULT_BATCH_SIZE,
+    commitSize = DEFAULT_COMMIT_SIZE,
+    deferIndexes = false,
+    rulesFile
+} = {}) {
+    if (!dryRun) ensureLogDir();
+    validationRules = loadValidationRules(rulesFile);
+    console.log(`Validation rules: ${validationRules.source}`);
+    const files = findTripFiles(sources, services);
+    if (files.length === 0) {
+        console.error(`No ${services.map(s => `${s}_tripdata_*`).join(', ')} CSV or parquet files found in ${sources.join(', ')}`);
         process.exit(1);
     }
-    console.log('Using trip file:', found.path, `(${found.format})`);
+    console.log(`Found ${files.length} trip file(s)${dryRun ? '; dry run, nothing will be written' : ''}`);
 
     const client = await pool.connect();
     try {
         zoneMap = await loadZoneMap(client);
         console.log(`Loaded ${zoneMap.size} zones for lookup`);
 
-        const stats = found.format === 'parquet'
-            ? await importFromParquet(client, found.path)
-            : await importFromCsv(client, found.path);
+        const totals = { files: 0, skipped: 0, processed: 0, valid: 0, invalid: 0, loaded: 0, seconds: 0, exclusions: new Map() };
+        if (truncate) {
+            if (dryRun) console.log('Would truncate trips and the import manifest');
+            else await truncateTrips(client);
+        }
+        if (!dryRun) {
+            if (deferIndexes) await dropIndexes(client);
+            else await createIndexes(client);
+        }
+        try {
+            for (const found of files) {
+                const stats = await importFile(client, found, { force, dryRun, limit, sampleRate, sampleSeed, batchSize, commitSize });
+                if (!stats) {
+                    totals.skipped++;
+                    continue;
+                }
+                totals.files++;
+                totals.processed += stats.processed;
+                totals.valid += stats.valid;
+                totals.invalid += stats.invalid;
+                totals.loaded += stats.loaded;
+                totals.seconds += stats.seconds;
+                stats.exclusions.forEach((entry, rule) => {
+                    if (!totals.exclusions.has(rule)) totals.exclusions.set(rule, { count: 0 });
+                    totals.exclusions.get(rule).count += entry.count;
+                });
+            }
+        } finally {
+            if (deferIndexes && !dryRun) await createIndexes(client);
+        }
 
-        console.log('\nImport completed');
-        console.log('Total processed:', stats.processed);
-        console.log('Valid:', stats.valid);
-        console.log('Excluded:', stats.invalid);
-        console.log('Exclusion log:', EXCLUSION_LOG);
+        console.log(dryRun ? '\nDry run completed' : '\nImport completed');
+        console.log(dryRun ? 'Files checked:' : 'Files imported:', totals.files);
+        console.log('Files skipped:', totals.skipped);
+        console.log('Total processed:', totals.processed);
+        console.log('Valid:', totals.valid);
+        console.log('Excluded:', totals.invalid, `(${percent(totals.invalid, totals.valid + totals.invalid)})`);
+        printExclusions(totals.exclusions, totals.valid + totals.invalid);
+        console.log('Throughput:', `${rowsPerSecond(totals.loaded, totals.seconds)} rows/s`);
+        if (!dryRun) {
+            console.log('Exclusion log:', EXCLUSION_LOG);
+            if (totals.files > 0 || truncate) await refreshRollup(client);
+        }
     } finally {
         client.release();
         await pool.end();
     }
 }
 
-if (require.main === module) {
-    importData().catch(e => {
-        console.error(e);
-        process.exit(1);
+function parseCliArgs(argv) {
+    const { values, positionals } = parseCli(argv, {
+        command: 'node scripts/importData.js',
+        positionals: '[file|directory|glob ...]',
+        summary: 'Loads TLC trip files (CSV or parquet) into trips. Sources default to the working directory.',
+        options: {
+            file: { type: 'string', multiple: true, value: 'path', description: 'Trip file to load; may be repeated' },
+            dir: { type: 'string', multiple: true, value: 'path', description: 'Directory of trip files to load; may be repeated' },
+            service: { type: 'string', value: 'list', description: `Only load these services (${SERVICE_TYPES.join(',')})` },
+            limit: { type: 'string', value: 'n', description: 'Stop each file once n of its trips are valid' },
+            'sample-rate': { type: 'string', value: 'r', description: 'Load a reproducible share r (0-1] of each file' },
+            seed: { type: 'string', value: 'n', description: `Seed choosing the sample (default ${DEFAULT_SAMPLE_SEED})` },
+            'dry-run': { type: 'boolean', description: 'Validate and print the quality report; write nothing' },
+            truncate: { type: 'boolean', description: 'Empty trips and the import manifest first' },
+            append: { type: 'boolean', description: 'Add to the trips already loaded (default)' },
+            force: { type: 'boolean', description: 'Reload files already imported, replacing their trips' },
+            'batch-size': { type: 'string', value: 'n', description: `Rows per COPY batch (default ${DEFAULT_BATCH_SIZE})` },
+            'commit-size': { type: 'string', value: 'n', description: `Rows per transaction (default ${DEFAULT_COMMIT_SIZE})` },
+            'defer-indexes': { type: 'boolean', description: 'Drop the trips indexes during the load and rebuild them after' },
+            rules: { type: 'string', value: 'path', description: 'Validation rules file (JSON or YAML)' }
+        }
     });
+    if (values.truncate && values.append) throw new Error('--truncate and --append cannot be used together');
+    if (values.seed !== undefined && values['sample-rate'] === undefined) throw new Error('--seed needs --sample-rate');
+    const sources = [
+        ...(values.file || []).map(f => existingPath('file', f, 'file')),
+        ...(values.dir || []).map(d => existingPath('dir', d, 'directory')),
+        ...positionals
+    ];
+    return {
+        sources: sources.length ? sources : [process.cwd()],
+        services: values.service === undefined ? SERVICE_TYPES : listOf('service', values.service, SERVICE_TYPES),
+        force: Boolean(values.force),
+        truncate: Boolean(values.truncate),
+        dryRun: Boolean(values['dry-run']),
+        limit: values.limit === undefined ? null : positiveInt('limit', values.limit),
+        sampleRate: values['sample-rate'] === undefined ? 1 : fraction('sample-rate', values['sample-rate']),
+        sampleSeed: values.seed === undefined ? DEFAULT_SAMPLE_SEED : nonNegativeInt('seed', values.seed),
+        batchSize: values['batch-size'] === undefined ? DEFAULT_BATCH_SIZE : positiveInt('batch-size', values['batch-size']),
+        commitSize: values['commit-size'] === undefined ? DEFAULT_COMMIT_SIZE : positiveInt('commit-size', values['commit-size']),
+        deferIndexes: Boolean(values['defer-indexes']),
+        rulesFile: values.rules
+    };
+}
+
+if (require.main === module) {
+    Promise.resolve()
+        .then(() => importData(parseCliArgs(process.argv.slice(2))))
+        .catch(e => {
+            console.error(e);
+            process.exit(1);
+        });
 }
 
-module.exports = { importData, isValidTrip, enrich };
+module.exports = { importData, isValidTrip, enrich, refreshRollup, findTripFiles, MAX_SPEED_KMH };
@@ -1,9 +1,11 @@
+require('dotenv').config();
 const { Pool } = require('pg');
 const fs = require('fs');
 const path = require('path');
 const csv = require('csv-parser');
 const shapefile = require('shapefile');
 const proj4 = require('proj4');
+const { parseCli, existingPath } = require('../lib/cli');
 
 const dbConfig = {
     host: process.env.DB_HOST || 'localhost',
@@ -34,7 +36,7 @@ function polygonCentroid(coords) {
     return [sx / n, sy / n];
 }
 
-async function loadZonesFromLookup(client, lookupPath) {
+async function readLookup(lookupPath) {
     const rows = [];
     await new Promise((resolve, reject) => {
         fs.createReadStream(lookupPath)
@@ -43,6 +45,10 @@ async function loadZonesFromLookup(client, lookupPath) {
             .on('end', resolve)
             .on('error', reject);
     });
+    return rows;
+}
+
+async function loadZonesFromLookup(client, rows) {
     for (const row of rows) {
         const locId = parseInt(row.LocationID, 10);
         if (isNaN(locId)) continue;
@@ -60,8 +66,16 @@ async function loadZonesFromLookup(client, lookupPath) {
     return rows.length;
 }
 
-async function updateCentroidsFromShapefile(client, shpPath, dbfPath) {
-    const centroids = [];
+function reprojectCoordinates(coords) {
+    if (typeof coords[0] === 'number') {
+        const [lon, lat] = proj4('NYLI', 'WGS84', coords);
+        return [+lon.toFixed(6), +lat.toFixed(6)];
+    }
+    return coords.map(reprojectCoordinates);
+}
+
+async function readShapes(shpPath, dbfPath) {
+    const shapes = [];
     const source = await shapefile.open(shpPath, dbfPath);
     let result = await source.read();
     while (!result.done) {
@@ -72,42 +86,75 @@ async function updateCentroidsFromShapefile(client, shpPath, dbfPath) {
             continue;
         }
         const xy = polygonCentroid(f.geometry.coordinates);
-        if (xy) {
-            const [lon, lat] = proj4('NYLI', 'WGS84', xy);
-            centroids.push({ location_id: locId, lat, lon });
-        }
+        const [lon, lat] = xy ? proj4('NYLI', 'WGS84', xy) : [null, null];
+        const geometry = {
+            type: f.geometry.type,
+            coordinates: reprojectCoordinates(f.geometry.coordinates)
+        };
+        shapes.push({ location_id: locId, lat, lon, geometry });
         result = await source.read();
     }
-    for (const c of centroids) {
+    return shapes;
+}
+
+async function updateShapesFromShapefile(client, shapes) {
+    for (const s of shapes) {
         await client.query(
-            `UPDATE zones SET centroid_lat = $1, centroid_lon = $2 WHERE location_id = $3`,
-            [c.lat, c.lon, c.location_id]
+            `UPDATE zones SET centroid_lat = $1, centroid_lon = $2, geometry = $3 WHERE location_id = $4`,
+            [s.lat, s.lon, JSON.stringify(s.geometry), s.location_id]
         );
     }
-    return centroids.length;
+    return shapes.length;
 }
 
-async function run() {
-    const lookupPath = path.resolve(process.cwd(), 'taxi_zone_lookup.csv');
-    const shpPath = path.resolve(process.cwd(), 'taxi_zones', 'taxi_zones.shp');
-    const dbfPath = path.resolve(process.cwd(), 'taxi_zones', 'taxi_zones.dbf');
+// Loads the zone lookup CSV (lookupPath, by default taxi_zone_lookup.csv in
+// dir) and, when dir holds it, the taxi_zones shapefile with each zone's
+// centroid and polygon. The zones table is emptied first unless append is
+// set, which updates zones in place and keeps those the files do not list;
+// emptying fails once trips reference the zones. dryRun reads and counts
+// the files without connecting to the database.
+async function importZones({ dir = process.cwd(), lookupPath = path.join(dir, 'taxi_zone_lookup.csv'), append = false, dryRun = false } = {}) {
+    const shpPath = path.join(dir, 'taxi_zones', 'taxi_zones.shp');
+    const dbfPath = path.join(dir, 'taxi_zones', 'taxi_zones.dbf');
 
     if (!fs.existsSync(lookupPath)) {
-        console.error('taxi_zone_lookup.csv not found in project root');
+        console.error(`${path.basename(lookupPath)} not found in ${path.dirname(lookupPath)}`);
         process.exit(1);
     }
+    const rows = await readLookup(lookupPath);
+    const shapes = fs.existsSync(shpPath) && fs.existsSync(dbfPath) ? await readShapes(shpPath, dbfPath) : null;
+
+    if (dryRun) {
+        const ids = rows.map(row => parseInt(row.LocationID, 10)).filter(id => !isNaN(id));
+        console.log(`Read ${ids.length} zones from ${lookupPath}${ids.length < rows.length ? ` (${rows.length - ids.length} rows without a LocationID)` : ''}`);
+        if (shapes) {
+            const missing = shapes.filter(s => !ids.includes(s.location_id)).length;
+            console.log(`Read ${shapes.length} zone polygons from ${shpPath}${missing ? ` (${missing} for zones not in the lookup)` : ''}`);
+        } else {
+            console.log('taxi_zones shapefile not found; zone centroids and polygons would be left null');
+        }
+        console.log(`Dry run: nothing written${append ? '' : '; the zones table would be emptied first'}`);
+        return;
+    }
 
     const client = await pool.connect();
     try {
-        await client.query('DELETE FROM zones');
-        const count = await loadZonesFromLookup(client, lookupPath);
-        console.log(`Loaded ${count} zones from taxi_zone_lookup.csv`);
+        if (!append) {
+            try {
+                await client.query('DELETE FROM zones');
+            } catch (e) {
+                if (e.code !== '23503') throw e;
+                throw new Error('Trips reference the zones, so the table cannot be emptied; use --append to update zones in place');
+            }
+        }
+        const count = await loadZonesFromLookup(client, rows);
+        console.log(`Loaded ${count} zones from ${path.basename(lookupPath)}`);
 
-        if (fs.existsSync(shpPath) && fs.existsSync(dbfPath)) {
-            const updated = await updateCentroidsFromShapefile(client, shpPath, dbfPath);
-            console.log(`Updated ${updated} zone centroids from taxi_zones shapefile`);
+        if (shapes) {
+            const updated = await updateShapesFromShapefile(client, shapes);
+            console.log(`Updated ${updated} zone centroids and polygons from taxi_zones shapefile`);
         } else {
-            console.log('taxi_zones shapefile not found; zone centroids left null');
+            console.log('taxi_zones shapefile not found; zone centroids and polygons left null');
         }
     } finally {
         client.release();
@@ -115,7 +162,32 @@ async function run() {
     }
 }
 
-run().catch(e => {
-    console.error(e);
-    process.exit(1);
-});
+function parseCliArgs(argv) {
+    const { values } = parseCli(argv, {
+        command: 'node scripts/importZones.js',
+        summary: 'Loads the TLC taxi zone lookup and, when present, the taxi_zones shapefile into zones.',
+        options: {
+            dir: { type: 'string', value: 'path', description: 'Directory holding taxi_zone_lookup.csv and taxi_zones/ (default: working directory)' },
+            file: { type: 'string', value: 'path', description: 'Zone lookup CSV; its directory is the default --dir' },
+            'dry-run': { type: 'boolean', description: 'Read and count the files; write nothing' },
+            truncate: { type: 'boolean', description: 'Empty the zones table first (default)' },
+            append: { type: 'boolean', description: 'Update zones in place, keeping any the files do not list' }
+        }
+    });
+    if (values.truncate && values.append) throw new Error('--truncate and --append cannot be used together');
+    const lookupPath = values.file === undefined ? undefined : existingPath('file', values.file, 'file');
+    const dir = values.dir !== undefined ? existingPath('dir', values.dir, 'directory')
+        : lookupPath ? path.dirname(lookupPath) : process.cwd();
+    return { dir, lookupPath, append: Boolean(values.append), dryRun: Boolean(values['dry-run']) };
+}
+
+if (require.main === module) {
+    Promise.resolve()
+        .then(() => importZones(parseCliArgs(process.argv.slice(2))))
+        .catch(e => {
+            console.error(e);
+            process.exit(1);
+        });
+}
+
+module.exports = { importZones };
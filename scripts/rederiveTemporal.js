@@ -0,0 +1,143 @@
+require('dotenv').config();
+const { Pool } = require('pg');
+const { NYC_TIME_ZONE } = require('../lib/nycTime');
+const { parseCli, positiveInt } = require('../lib/cli');
+const { createRollup } = require('./setupDatabase');
+const { refreshRollup, MAX_SPEED_KMH } = require('./importData');
+
+const dbConfig = {
+    host: process.env.DB_HOST || 'localhost',
+    port: process.env.DB_PORT || 5432,
+    database: process.env.DB_NAME || 'nyc_taxi_db',
+    user: process.env.DB_USER || 'postgres',
+    password: process.env.DB_PASSWORD || '123456'
+};
+
+const pool = new Pool(dbConfig);
+
+const DEFAULT_BATCH_SIZE = 100000;
+const TIMESTAMP_COLUMNS = ['tpep_pickup_datetime', 'tpep_dropoff_datetime'];
+
+const elapsedSeconds = started => (Date.now() - started) / 1000;
+
+// Trips imported before timestamps carried a zone have TIMESTAMP columns
+// holding wall-clock times. They become TIMESTAMPTZ, reading each value as
+// a time in `zone`. trip_rollup depends on the columns, so it is dropped
+// first and recreated afterwards.
+async function convertTimestampColumns(client, zone) {
+    const res = await client.query(`
+        SELECT column_name FROM information_schema.columns
+        WHERE table_schema = current_schema() AND table_name = 'trips'
+        AND column_name = ANY($1::text[]) AND data_type = 'timestamp without time zone'
+    `, [TIMESTAMP_COLUMNS]);
+    if (res.rows.length === 0) return false;
+
+    const known = await client.query('SELECT 1 FROM pg_timezone_names WHERE name = $1', [zone]);
+    if (known.rows.length === 0) throw new Error(`Unknown time zone: ${zone}`);
+    const literal = `'${zone.replace(/'/g, "''")}'`;
+
+    const started = Date.now();
+    await client.query('BEGIN');
+    try {
+        await client.query('DROP MATERIALIZED VIEW IF EXISTS trip_rollup');
+        const changes = res.rows.map(({ column_name: c }) => `ALTER COLUMN ${c} TYPE TIMESTAMPTZ USING ${c} AT TIME ZONE ${literal}`);
+        await client.query(`ALTER TABLE trips ${changes.join(', ')}`);
+        await createRollup(client);
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    }
+    console.log(`Converted ${res.rows.map(r => r.column_name).join(', ')} to TIMESTAMPTZ as ${zone} time in ${elapsedSeconds(started).toFixed(1)}s`);
+    return true;
+}
+
+// Recomputes the pickup's hour, day of week and month in New York time, and
+// the duration and speed from the two instants, for trip_ids lo..hi. Only
+// rows whose values change are written; returns how many. Speed is capped
+// at MAX_SPEED_KMH, as the importer caps it.
+async function rederiveRange(client, lo, hi) {
+    const res = await client.query(`
+        WITH derived AS (
+            SELECT trip_id,
+                   EXTRACT(HOUR FROM tpep_pickup_datetime AT TIME ZONE '${NYC_TIME_ZONE}')::smallint AS hour_of_day,
+                   EXTRACT(DOW FROM tpep_pickup_datetime AT TIME ZONE '${NYC_TIME_ZONE}')::smallint AS day_of_week,
+                   EXTRACT(MONTH FROM tpep_pickup_datetime AT TIME ZONE '${NYC_TIME_ZONE}')::smallint AS month,
+                   ROUND(EXTRACT(EPOCH FROM tpep_dropoff_datetime - tpep_pickup_datetime))::integer AS trip_duration_sec,
+                   trip_distance
+            FROM trips
+            WHERE trip_id BETWEEN $1 AND $2
+        ), target AS (
+            SELECT *,
+                   CASE
+                       WHEN trip_distance IS NULL THEN NULL
+                       WHEN trip_duration_sec > 0 THEN LEAST(ROUND(trip_distance * 1.60934 / (trip_duration_sec / 3600.0), 2), ${MAX_SPEED_KMH})
+                       ELSE 0
+                   END AS speed_kmh
+            FROM derived
+        )
+        UPDATE trips t
+        SET hour_of_day = d.hour_of_day, day_of_week = d.day_of_week, month = d.month,
+            trip_duration_sec = d.trip_duration_sec, speed_kmh = d.speed_kmh
+        FROM target d
+        WHERE t.trip_id = d.trip_id
+        AND (t.hour_of_day, t.day_of_week, t.month, t.trip_duration_sec, t.speed_kmh)
+            IS DISTINCT FROM (d.hour_of_day, d.day_of_week, d.month, d.trip_duration_sec, d.speed_kmh)
+    `, [lo, hi]);
+    return res.rowCount;
+}
+
+// Brings existing trips in line with what importData.js now derives. Each
+// batch of trip_ids commits on its own and unchanged rows are left alone,
+// so an interrupted run can simply be started again.
+async function rederiveTemporal({ assumeZone = NYC_TIME_ZONE, batchSize = DEFAULT_BATCH_SIZE } = {}) {
+    const client = await pool.connect();
+    try {
+        const converted = await convertTimestampColumns(client, assumeZone);
+        if (!converted) console.log('Trip timestamps are already TIMESTAMPTZ');
+
+        const bounds = await client.query('SELECT MIN(trip_id) AS lo, MAX(trip_id) AS hi FROM trips');
+        const lo = bounds.rows[0].lo === null ? null : parseInt(bounds.rows[0].lo);
+        const hi = bounds.rows[0].hi === null ? null : parseInt(bounds.rows[0].hi);
+        const started = Date.now();
+        let changed = 0;
+        if (lo !== null) {
+            for (let start = lo; start <= hi; start += batchSize) {
+                changed += await rederiveRange(client, start, Math.min(start + batchSize - 1, hi));
+                console.log(`Re-derived trip_ids up to ${Math.min(start + batchSize - 1, hi)} (${changed} rows changed)...`);
+            }
+        }
+        console.log(`Re-derived temporal features in ${NYC_TIME_ZONE} time: ${changed} rows changed in ${elapsedSeconds(started).toFixed(1)}s`);
+
+        if (converted || changed > 0) await refreshRollup(client);
+    } finally {
+        client.release();
+        await pool.end();
+    }
+}
+
+function parseCliArgs(argv) {
+    const { values } = parseCli(argv, {
+        command: 'node scripts/rederiveTemporal.js',
+        summary: 'Converts trip timestamps to TIMESTAMPTZ if needed and re-derives hour, day of week, month, duration and speed.',
+        options: {
+            'assume-zone': { type: 'string', value: 'zone', description: `Zone of existing TIMESTAMP values (default ${NYC_TIME_ZONE})` },
+            'batch-size': { type: 'string', value: 'n', description: `trip_ids per update (default ${DEFAULT_BATCH_SIZE})` }
+        }
+    });
+    return {
+        assumeZone: values['assume-zone'] === undefined ? NYC_TIME_ZONE : values['assume-zone'],
+        batchSize: values['batch-size'] === undefined ? DEFAULT_BATCH_SIZE : positiveInt('batch-size', values['batch-size'])
+    };
+}
+
+if (require.main === module) {
+    Promise.resolve()
+        .then(() => rederiveTemporal(parseCliArgs(process.argv.slice(2))))
+        .catch(e => {
+            console.error(e);
+            process.exit(1);
+        });
+}
+
+module.exports = { rederiveTemporal };
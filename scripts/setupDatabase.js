@@ -1,4 +1,6 @@
+require('dotenv').config();
 const { Pool } = require('pg');
+const { parseCli } = require('../lib/cli');
 
 const dbConfig = {
     host: process.env.DB_HOST || 'localhost',
@@ -10,7 +12,77 @@ const dbConfig = {
 
 const pool = new Pool(dbConfig);
 
-async function setupDatabase() {
+// Secondary indexes on trips, by name. importData.js drops and rebuilds them
+// when a load defers index creation.
+const TRIP_INDEXES = {
+    idx_trips_pickup_datetime: 'trips(tpep_pickup_datetime)',
+    idx_trips_trip_duration: 'trips(trip_duration_sec)',
+    idx_trips_pu_location: 'trips(pu_location_id)',
+    idx_trips_do_location: 'trips(do_location_id)',
+    idx_trips_hour: 'trips(hour_of_day)',
+    idx_trips_pickup_borough: 'trips(pickup_borough)',
+    idx_trips_dropoff_borough: 'trips(dropoff_borough)',
+    idx_trips_trip_type: 'trips(trip_type)',
+    idx_trips_total_amount: 'trips(total_amount)',
+    idx_trips_trip_distance: 'trips(trip_distance)',
+    idx_trips_service_type: 'trips(service_type)',
+    idx_trips_import_id: 'trips(import_id)'
+};
+
+// Trip counts and sums by service x pickup zone x hour x day of week x month
+// x trip type, refreshed after each import. Dropped with trips, so
+// rederiveTemporal.js recreates it when it changes the timestamp columns.
+async function createRollup(client) {
+    await client.query(`
+        CREATE MATERIALIZED VIEW IF NOT EXISTS trip_rollup AS
+        SELECT
+            service_type,
+            pu_location_id,
+            pickup_borough,
+            hour_of_day,
+            day_of_week,
+            month,
+            trip_type,
+            COUNT(*) as trip_count,
+            SUM(trip_duration_sec) as total_duration_sec,
+            SUM(trip_distance * 1.60934) as total_distance_km,
+            SUM(speed_kmh) as total_speed_kmh,
+            SUM(tip_rate) as total_tip_rate,
+            COUNT(trip_distance) as distance_count,
+            COUNT(speed_kmh) as speed_count,
+            COUNT(tip_rate) as tip_rate_count,
+            MIN(tpep_pickup_datetime) as earliest_trip,
+            MAX(tpep_pickup_datetime) as latest_trip
+        FROM trips
+        GROUP BY service_type, pu_location_id, pickup_borough, hour_of_day, day_of_week, month, trip_type
+    `);
+    await client.query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_trip_rollup_key
+        ON trip_rollup(service_type, pu_location_id, pickup_borough, hour_of_day, day_of_week, month, trip_type)
+    `);
+}
+
+// Removes the indentation a statement has in this file, for printing.
+function dedent(sql) {
+    const lines = sql.replace(/^\s*\n/, '').trimEnd().split('\n');
+    const indent = Math.min(...lines.filter(l => l.trim()).map(l => l.match(/^ */)[0].length));
+    return lines.map(l => l.slice(indent)).join('\n');
+}
+
+// Stands in for a pool client on a dry run, printing each statement.
+const printingClient = {
+    query: async sql => {
+        console.log(`${dedent(sql)};\n`);
+        return { rows: [], rowCount: 0 };
+    },
+    release: () => {}
+};
+
+// Creates the schema. By default trips and the import manifest are dropped
+// and recreated empty; append keeps them and their rows, creating only what
+// is missing. dryRun prints the statements instead of running them.
+async function setupDatabase({ append = false, dryRun = false } = {}) {
+    if (dryRun) return createSchema(printingClient, append);
     try {
         console.log('Setting up NYC Taxi Database...');
         const adminPool = new Pool({
@@ -29,66 +101,9 @@ async function setupDatabase() {
         await adminPool.end();
 
         const client = await pool.connect();
+        await createSchema(client, append);
 
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS zones (
-                location_id INTEGER PRIMARY KEY,
-                borough VARCHAR(50),
-                zone VARCHAR(255),
-                service_zone VARCHAR(50),
-                centroid_lat DECIMAL(10, 7),
-                centroid_lon DECIMAL(10, 7)
-            )
-        `);
-
-        await client.query(`DROP TABLE IF EXISTS trips`);
-        await client.query(`
-            CREATE TABLE trips (
-                trip_id BIGSERIAL PRIMARY KEY,
-                vendor_id INTEGER,
-                tpep_pickup_datetime TIMESTAMP NOT NULL,
-                tpep_dropoff_datetime TIMESTAMP NOT NULL,
-                passenger_count SMALLINT,
-                trip_distance DECIMAL(8, 2),
-                rate_code_id SMALLINT,
-                store_and_fwd_flag CHAR(1),
-                pu_location_id INTEGER REFERENCES zones(location_id),
-                do_location_id INTEGER REFERENCES zones(location_id),
-                payment_type SMALLINT,
-                fare_amount DECIMAL(8, 2),
-                extra DECIMAL(8, 2),
-                mta_tax DECIMAL(8, 2),
-                tip_amount DECIMAL(8, 2),
-                tolls_amount DECIMAL(8, 2),
-                improvement_surcharge DECIMAL(8, 2),
-                total_amount DECIMAL(8, 2),
-                congestion_surcharge DECIMAL(8, 2),
-                trip_duration_sec INTEGER,
-                speed_kmh DECIMAL(8, 2),
-                fare_per_km DECIMAL(10, 4),
-                tip_rate DECIMAL(5, 4),
-                hour_of_day SMALLINT,
-                day_of_week SMALLINT,
-                month SMALLINT,
-                pickup_borough VARCHAR(50),
-                dropoff_borough VARCHAR(50),
-                trip_type VARCHAR(20),
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
-
-        await client.query(`CREATE INDEX IF NOT EXISTS idx_trips_pickup_datetime ON trips(tpep_pickup_datetime)`);
-        await client.query(`CREATE INDEX IF NOT EXISTS idx_trips_trip_duration ON trips(trip_duration_sec)`);
-        await client.query(`CREATE INDEX IF NOT EXISTS idx_trips_pu_location ON trips(pu_location_id)`);
-        await client.query(`CREATE INDEX IF NOT EXISTS idx_trips_do_location ON trips(do_location_id)`);
-        await client.query(`CREATE INDEX IF NOT EXISTS idx_trips_hour ON trips(hour_of_day)`);
-        await client.query(`CREATE INDEX IF NOT EXISTS idx_trips_pickup_borough ON trips(pickup_borough)`);
-        await client.query(`CREATE INDEX IF NOT EXISTS idx_trips_dropoff_borough ON trips(dropoff_borough)`);
-        await client.query(`CREATE INDEX IF NOT EXISTS idx_trips_trip_type ON trips(trip_type)`);
-        await client.query(`CREATE INDEX IF NOT EXISTS idx_trips_total_amount ON trips(total_amount)`);
-        await client.query(`CREATE INDEX IF NOT EXISTS idx_trips_trip_distance ON trips(trip_distance)`);
-
-        console.log('Database schema created successfully');
+        console.log(append ? 'Database schema brought up to date, existing data kept' : 'Database schema created successfully');
         client.release();
         await pool.end();
     } catch (error) {
@@ -97,8 +112,136 @@ async function setupDatabase() {
     }
 }
 
+// The tables, indexes and rollup, created through `client`.
+async function createSchema(client, append) {
+    const createTable = append ? 'CREATE TABLE IF NOT EXISTS' : 'CREATE TABLE';
+
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS zones (
+            location_id INTEGER PRIMARY KEY,
+            borough VARCHAR(50),
+            zone VARCHAR(255),
+            service_zone VARCHAR(50),
+            centroid_lat DECIMAL(10, 7),
+            centroid_lon DECIMAL(10, 7),
+            geometry JSONB
+        )
+    `);
+    await client.query(`ALTER TABLE zones ADD COLUMN IF NOT EXISTS geometry JSONB`);
+
+    if (!append) await client.query(`DROP TABLE IF EXISTS trips CASCADE`);
+    await client.query(`
+        ${createTable} trips (
+            trip_id BIGSERIAL PRIMARY KEY,
+            service_type VARCHAR(10) NOT NULL DEFAULT 'yellow',
+            vendor_id INTEGER,
+            tpep_pickup_datetime TIMESTAMPTZ NOT NULL,
+            tpep_dropoff_datetime TIMESTAMPTZ NOT NULL,
+            passenger_count SMALLINT,
+            trip_distance DECIMAL(8, 2),
+            rate_code_id SMALLINT,
+            store_and_fwd_flag CHAR(1),
+            pu_location_id INTEGER REFERENCES zones(location_id),
+            do_location_id INTEGER REFERENCES zones(location_id),
+            payment_type SMALLINT,
+            fare_amount DECIMAL(8, 2),
+            extra DECIMAL(8, 2),
+            mta_tax DECIMAL(8, 2),
+            tip_amount DECIMAL(8, 2),
+            tolls_amount DECIMAL(8, 2),
+            improvement_surcharge DECIMAL(8, 2),
+            total_amount DECIMAL(8, 2),
+            congestion_surcharge DECIMAL(8, 2),
+            ehail_fee DECIMAL(8, 2),
+            driver_pay DECIMAL(8, 2),
+            hail_type SMALLINT,
+            hvfhs_license_num VARCHAR(10),
+            dispatching_base_num VARCHAR(10),
+            trip_duration_sec INTEGER,
+            speed_kmh DECIMAL(8, 2),
+            fare_per_km DECIMAL(10, 4),
+            tip_rate DECIMAL(5, 4),
+            hour_of_day SMALLINT,
+            day_of_week SMALLINT,
+            month SMALLINT,
+            pickup_borough VARCHAR(50),
+            dropoff_borough VARCHAR(50),
+            trip_type VARCHAR(20),
+            import_id INTEGER,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    for (const [name, target] of Object.entries(TRIP_INDEXES)) {
+        await client.query(`CREATE INDEX IF NOT EXISTS ${name} ON ${target}`);
+    }
+
+    // One row per imported trip file. It is recreated with trips so the
+    // manifest never lists files whose rows are gone. While a file loads,
+    // the row counts are its checkpoint: every row up to rows_processed
+    // is committed, and an interrupted import resumes after it. A sampled
+    // or limited import records its sample_rate, sample_seed and
+    // row_limit, and resumes with them.
+    if (!append) {
+        await client.query(`DROP TABLE IF EXISTS import_exclusions`);
+        await client.query(`DROP TABLE IF EXISTS imports`);
+    }
+    await client.query(`
+        ${createTable} imports (
+            import_id SERIAL PRIMARY KEY,
+            file_name VARCHAR(255) NOT NULL,
+            service_type VARCHAR(10),
+            checksum CHAR(64) NOT NULL,
+            rows_processed INTEGER,
+            rows_valid INTEGER,
+            rows_excluded INTEGER,
+            validation_rules JSONB,
+            row_limit INTEGER,
+            sample_rate DOUBLE PRECISION,
+            sample_seed BIGINT,
+            started_at TIMESTAMPTZ NOT NULL,
+            checkpoint_at TIMESTAMPTZ,
+            finished_at TIMESTAMPTZ
+        )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_imports_checksum ON imports(checksum)`);
+
+    // Rows each validation rule excluded from an import, with the first
+    // few of them as they were read.
+    await client.query(`
+        ${createTable} import_exclusions (
+            import_id INTEGER NOT NULL REFERENCES imports(import_id) ON DELETE CASCADE,
+            rule VARCHAR(50) NOT NULL,
+            excluded_count INTEGER NOT NULL,
+            samples JSONB NOT NULL DEFAULT '[]',
+            PRIMARY KEY (import_id, rule)
+        )
+    `);
+
+    await createRollup(client);
+}
+
+function parseCliArgs(argv) {
+    const { values } = parseCli(argv, {
+        command: 'node scripts/setupDatabase.js',
+        summary: 'Creates the database and its schema. Trips and the import manifest are recreated empty unless --append is given.',
+        options: {
+            truncate: { type: 'boolean', description: 'Drop and recreate trips and the import manifest (default)' },
+            append: { type: 'boolean', description: 'Keep existing tables and rows; create only what is missing' },
+            'dry-run': { type: 'boolean', description: 'Print the SQL instead of running it' }
+        }
+    });
+    if (values.truncate && values.append) throw new Error('--truncate and --append cannot be used together');
+    return { append: Boolean(values.append), dryRun: Boolean(values['dry-run']) };
+}
+
 if (require.main === module) {
-    setupDatabase();
+    Promise.resolve()
+        .then(() => setupDatabase(parseCliArgs(process.argv.slice(2))))
+        .catch(e => {
+            console.error(e);
+            process.exit(1);
+        });
 }
 
-module.exports = { setupDatabase, pool };
+module.exports = { setupDatabase, createRollup, pool, TRIP_INDEXES };
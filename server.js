@@ -2,7 +2,15 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const crypto = require('crypto');
+const { pipeline, Transform } = require('stream');
+const { Worker } = require('worker_threads');
 const { Pool } = require('pg');
+const QueryStream = require('pg-query-stream');
+const { SCALINGS } = require('./lib/tripClusterer');
+const { METRICS } = require('./lib/distance');
+const { SERVICE_TYPES, SERVICE_LABELS } = require('./lib/tripSchemas');
+const { NYC_TIME_ZONE, formatNycTimestamp } = require('./lib/nycTime');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -12,7 +20,10 @@ const dbConfig = {
     port: process.env.DB_PORT || 5432,
     database: process.env.DB_NAME || 'nyc_taxi_db',
     user: process.env.DB_USER || 'postgres',
-    password: process.env.DB_PASSWORD || '123456'
+    password: process.env.DB_PASSWORD || '123456',
+    // Sessions run in New York time, so `from`/`to` dates and time-series
+    // buckets fall on New York days and hours, like the stored hour_of_day.
+    options: `-c timezone=${NYC_TIME_ZONE}`
 };
 
 const pool = new Pool(dbConfig);
@@ -21,130 +32,470 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
 
-class TripClusterer {
-    constructor() {
-        this.clusters = [];
+const WEEKEND_DAYS = [0, 6];
+
+const PAYMENT_TYPES = {
+    0: 'Flex Fare',
+    1: 'Credit Card',
+    2: 'Cash',
+    3: 'No Charge',
+    4: 'Dispute',
+    5: 'Unknown',
+    6: 'Voided Trip'
+};
+
+const FARE_COMPONENTS = [
+    'fare_amount',
+    'extra',
+    'mta_tax',
+    'tip_amount',
+    'tolls_amount',
+    'improvement_surcharge',
+    'congestion_surcharge'
+];
+
+const TIMESERIES_BUCKETS = {
+    '15min': `DATE_TRUNC('hour', tpep_pickup_datetime) + FLOOR(EXTRACT(MINUTE FROM tpep_pickup_datetime) / 15) * INTERVAL '15 minutes'`,
+    hour: `DATE_TRUNC('hour', tpep_pickup_datetime)`,
+    day: `DATE_TRUNC('day', tpep_pickup_datetime)`,
+    week: `DATE_TRUNC('week', tpep_pickup_datetime)`
+};
+
+const EXPORT_COLUMNS = [
+    'trip_id', 'service_type', 'vendor_id', 'pickup_datetime', 'dropoff_datetime', 'passenger_count', 'trip_distance',
+    'distance_km', 'trip_duration', 'speed_kmh', 'fare_amount', 'tip_amount', 'total_amount', 'payment_type',
+    'fare_per_km', 'tip_rate', 'hour_of_day', 'day_of_week', 'month', 'pu_location_id', 'do_location_id',
+    'pickup_borough', 'dropoff_borough', 'trip_type', 'pickup_lat', 'pickup_lon', 'dropoff_lat', 'dropoff_lon'
+];
+
+const EXPORT_FORMATS = {
+    csv: {
+        contentType: 'text/csv',
+        header: () => EXPORT_COLUMNS.join(',') + '\n',
+        row: (row) => EXPORT_COLUMNS.map(c => csvValue(row[c])).join(',') + '\n',
+        footer: () => ''
+    },
+    ndjson: {
+        contentType: 'application/x-ndjson',
+        header: () => '',
+        row: (row) => JSON.stringify(row) + '\n',
+        footer: () => ''
+    },
+    geojson: {
+        contentType: 'application/geo+json',
+        header: () => '{"type":"FeatureCollection","features":[\n',
+        row: (row, index) => (index > 0 ? ',\n' : '') + JSON.stringify(tripFeature(row)),
+        footer: () => '\n]}\n'
     }
-    
-    kMeans(data, k, maxIterations = 100) {
-        if (data.length === 0) return [];
-        if (k <= 0 || k > data.length) return [data];
-        
-        let centroids = this.initializeCentroids(data, k);
-        let clusters = [];
-        
-        for (let iteration = 0; iteration < maxIterations; iteration++) {
-            clusters = Array(k).fill().map(() => []);
-            
-            data.forEach(point => {
-                const distances = centroids.map(centroid => 
-                    this.calculateDistance(point, centroid)
-                );
-                const nearestIndex = distances.indexOf(Math.min(...distances));
-                if (nearestIndex >= 0 && nearestIndex < clusters.length) {
-                    clusters[nearestIndex].push(point);
-                }
-            });
-            
-            const newCentroids = clusters.map((cluster, index) => {
-                if (cluster.length === 0) {
-                    const randomIndex = Math.floor(Math.random() * data.length);
-                    return { ...data[randomIndex] };
-                }
-                
-                const avgLat = cluster.reduce((sum, p) => sum + parseFloat(p.lat), 0) / cluster.length;
-                const avgLon = cluster.reduce((sum, p) => sum + parseFloat(p.lon), 0) / cluster.length;
-                const avgDuration = cluster.reduce((sum, p) => sum + parseFloat(p.duration), 0) / cluster.length;
-                
-                return { lat: avgLat, lon: avgLon, duration: avgDuration };
-            });
-            
-            const converged = centroids.every((centroid, i) => 
-                this.calculateDistance(centroid, newCentroids[i]) < 0.001
-            );
-            
-            if (converged) break;
-            
-            centroids = newCentroids;
-        }
-        
-        return clusters.filter(cluster => cluster.length > 0);
+};
+
+const TRIP_COUNT_MODES = ['estimated', 'exact', 'none'];
+
+const VENDORS = {
+    1: 'Creative Mobile Technologies',
+    2: 'Curb Mobility (VeriFone)',
+    6: 'Myle Technologies',
+    7: 'Helix'
+};
+
+const RATE_CODES = {
+    1: 'Standard Rate',
+    2: 'JFK',
+    3: 'Newark',
+    4: 'Nassau or Westchester',
+    5: 'Negotiated Fare',
+    6: 'Group Ride',
+    99: 'Unknown'
+};
+
+// Aggregate expressions over the raw trips table and over the trip_rollup
+// materialized view (service x zone x hour x day_of_week x month x
+// trip_type), which importData.js refreshes after every load. Averages over
+// the rollup divide by the count of non-NULL values, as AVG does, since FHV
+// trips carry no distance or fares.
+const TRIP_SOURCES = {
+    trips: {
+        table: 'trips',
+        count: 'COUNT(*)',
+        avgDuration: 'AVG(trip_duration_sec)',
+        avgDistance: 'AVG(trip_distance * 1.60934)',
+        avgSpeed: 'AVG(speed_kmh)',
+        avgTipRate: 'AVG(tip_rate)',
+        earliest: 'MIN(tpep_pickup_datetime)',
+        latest: 'MAX(tpep_pickup_datetime)'
+    },
+    rollup: {
+        table: 'trip_rollup',
+        count: 'SUM(trip_count)',
+        avgDuration: 'SUM(total_duration_sec) / NULLIF(SUM(trip_count), 0)',
+        avgDistance: 'SUM(total_distance_km) / NULLIF(SUM(distance_count), 0)',
+        avgSpeed: 'SUM(total_speed_kmh) / NULLIF(SUM(speed_count), 0)',
+        avgTipRate: 'SUM(total_tip_rate) / NULLIF(SUM(tip_rate_count), 0)',
+        earliest: 'MIN(earliest_trip)',
+        latest: 'MAX(latest_trip)'
     }
-    
-    initializeCentroids(data, k) {
-        const centroids = [];
-        const usedIndices = new Set();
-        
-        for (let i = 0; i < k; i++) {
-            let randomIndex;
-            do {
-                randomIndex = Math.floor(Math.random() * data.length);
-            } while (usedIndices.has(randomIndex));
-            
-            usedIndices.add(randomIndex);
-            centroids.push({ ...data[randomIndex] });
+};
+
+const ROLLUP_FILTERS = ['service', 'borough', 'zone', 'hour', 'tripType', 'dayOfWeek', 'month', 'dayType'];
+
+const TIP_GROUPS = {
+    hour: 'hour_of_day',
+    borough: 'pickup_borough',
+    payment_type: 'payment_type'
+};
+
+function csvValue(value) {
+    if (value == null) return '';
+    const str = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function tripFeature(row) {
+    const { pickup_lat, pickup_lon, dropoff_lat, dropoff_lon, ...properties } = row;
+    const coordinates = [[pickup_lon, pickup_lat], [dropoff_lon, dropoff_lat]]
+        .filter(([lon, lat]) => lon != null && lat != null)
+        .map(([lon, lat]) => [parseFloat(lon), parseFloat(lat)]);
+    return {
+        type: 'Feature',
+        id: row.trip_id,
+        geometry: coordinates.length ? { type: 'MultiPoint', coordinates } : null,
+        properties
+    };
+}
+
+const ISO_TIMESTAMP = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d{1,6})?)?(?:Z|[+-]\d{2}(?::?\d{2})?)?)?$/i;
+
+// Whether `text` is an ISO 8601 date or timestamp naming a real calendar
+// day and time. Date.parse alone rolls 2024-02-30 over to March 1 and
+// accepts hour 24, which Postgres then rejects.
+function isIsoTimestamp(text) {
+    const m = text.match(ISO_TIMESTAMP);
+    if (!m) return false;
+    const [, year, month, day, hour = 0, minute = 0, second = 0] = m.map(v => (v === undefined ? undefined : Number(v)));
+    const date = new Date(Date.UTC(2000, month - 1, day));
+    date.setUTCFullYear(year);
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day && hour <= 23 && minute <= 59 && second <= 59;
+}
+
+function encodeCursor(pickup, tripId) {
+    return Buffer.from(JSON.stringify([pickup, String(tripId)])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const [pickup, tripId] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+        if (typeof pickup !== 'string' || !isIsoTimestamp(pickup) || !/^\d{1,18}$/.test(tripId)) return null;
+        return { pickup, tripId };
+    } catch (error) {
+        return null;
+    }
+}
+
+function parseIntList(value) {
+    return String(value).split(',').map(v => parseInt(v.trim())).filter(v => !isNaN(v));
+}
+
+// Builds the WHERE clause shared by every trip route. `alias` is the trips
+// table alias used by the calling query ('' when the query has none).
+// Routes append their own conditions with `$${params.length}` after pushing.
+function buildTripFilters(query, alias = '') {
+    const col = name => (alias ? `${alias}.${name}` : name);
+    const {
+        service,
+        borough,
+        zone,
+        hour,
+        minDuration,
+        maxDuration,
+        tripType,
+        from,
+        to,
+        dayOfWeek,
+        month,
+        dayType
+    } = query;
+
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+    const filters = {};
+    const add = (name, condition, value) => {
+        params.push(value);
+        whereClause += ` AND ${condition.replace('?', `$${params.length}`)}`;
+        filters[name] = value;
+    };
+
+    if (service) add('service', `${col('service_type')} = ANY(?::text[])`, service);
+    if (borough) add('borough', `${col('pickup_borough')} = ?`, borough);
+    if (zone !== undefined && zone !== '') add('zone', `${col('pu_location_id')} = ANY(?::int[])`, parseIntList(zone));
+    if (hour !== undefined && hour !== '') add('hour', `${col('hour_of_day')} = ?`, parseInt(hour));
+    if (minDuration) add('minDuration', `${col('trip_duration_sec')} >= ?`, parseInt(minDuration));
+    if (maxDuration) add('maxDuration', `${col('trip_duration_sec')} <= ?`, parseInt(maxDuration));
+    if (tripType) add('tripType', `${col('trip_type')} = ?`, tripType);
+    if (from) add('from', `${col('tpep_pickup_datetime')} >= ?`, from);
+    if (to) add('to', `${col('tpep_pickup_datetime')} < ?`, to);
+    if (dayOfWeek !== undefined && dayOfWeek !== '') add('dayOfWeek', `${col('day_of_week')} = ANY(?::int[])`, parseIntList(dayOfWeek));
+    if (month !== undefined && month !== '') add('month', `${col('month')} = ANY(?::int[])`, parseIntList(month));
+    if (dayType === 'weekend') add('dayType', `${col('day_of_week')} = ANY(?::int[])`, WEEKEND_DAYS);
+    if (dayType === 'weekday') add('dayType', `NOT (${col('day_of_week')} = ANY(?::int[]))`, WEEKEND_DAYS);
+    if (filters.dayType) filters.dayType = dayType;
+
+    return { whereClause, params, filters };
+}
+
+const BOROUGHS = ['Manhattan', 'Brooklyn', 'Queens', 'Bronx', 'Staten Island', 'EWR', 'Unknown', 'N/A'];
+const TRIP_TYPES = ['Within Borough', 'Cross Borough'];
+
+// location_id and trip_duration_sec are INTEGER columns.
+const PG_INTEGER_MAX = 2147483647;
+
+const TRIP_FILTER_PARAMS = {
+    service: { type: 'enumList', values: SERVICE_TYPES },
+    borough: { type: 'enum', values: BOROUGHS },
+    zone: { type: 'intList', min: 1, max: PG_INTEGER_MAX },
+    hour: { type: 'int', min: 0, max: 23 },
+    minDuration: { type: 'int', min: 0, max: PG_INTEGER_MAX },
+    maxDuration: { type: 'int', min: 0, max: PG_INTEGER_MAX },
+    tripType: { type: 'enum', values: TRIP_TYPES },
+    from: { type: 'date' },
+    to: { type: 'date' },
+    dayOfWeek: { type: 'intList', min: 0, max: 6 },
+    month: { type: 'intList', min: 1, max: 12 },
+    dayType: { type: 'enum', values: ['weekday', 'weekend'] }
+};
+
+const ORDERED_PARAMS = [['minDuration', 'maxDuration'], ['from', 'to'], ['kMin', 'kMax']];
+
+function describeRange(spec) {
+    if (spec.min !== undefined && spec.max !== undefined) return ` between ${spec.min} and ${spec.max}`;
+    if (spec.min !== undefined) return ` >= ${spec.min}`;
+    if (spec.max !== undefined) return ` <= ${spec.max}`;
+    return '';
+}
+
+function inRange(spec, n) {
+    return (spec.min === undefined || n >= spec.min) && (spec.max === undefined || n <= spec.max);
+}
+
+// Returns { value } for a valid raw query value or { reason } explaining why it is not.
+function parseParam(spec, raw) {
+    if (Array.isArray(raw) || typeof raw !== 'string') return { reason: 'must be given once as a plain value' };
+
+    switch (spec.type) {
+        case 'int': {
+            const n = Number(raw);
+            if (!/^-?\d+$/.test(raw) || !inRange(spec, n)) return { reason: `must be an integer${describeRange(spec)}` };
+            return { value: n };
         }
-        
-        return centroids;
+        case 'number': {
+            const n = Number(raw);
+            if (raw.trim() === '' || !Number.isFinite(n) || !inRange(spec, n)) return { reason: `must be a number${describeRange(spec)}` };
+            return { value: n };
+        }
+        case 'intList': {
+            const items = raw.split(',').map(v => v.trim());
+            if (items.some(v => !/^-?\d+$/.test(v) || !inRange(spec, Number(v)))) {
+                return { reason: `must be a comma-separated list of integers${describeRange(spec)}` };
+            }
+            return { value: items.join(',') };
+        }
+        case 'numberList': {
+            const items = raw.split(',').map(v => v.trim());
+            if (items.some(v => v === '' || !Number.isFinite(Number(v)) || !inRange(spec, Number(v)))) {
+                return { reason: `must be a comma-separated list of numbers${describeRange(spec)}` };
+            }
+            return { value: items.map(Number) };
+        }
+        case 'enumList': {
+            const items = raw.split(',').map(v => v.trim());
+            if (items.some(v => !spec.values.includes(v)) || new Set(items).size !== items.length) {
+                return { reason: `must be a comma-separated list of distinct values from: ${spec.values.join(', ')}` };
+            }
+            return { value: items };
+        }
+        case 'enum':
+            if (!spec.values.includes(raw)) return { reason: `must be one of: ${spec.values.join(', ')}` };
+            return { value: raw };
+        case 'date':
+            if (!isIsoTimestamp(raw)) return { reason: 'must be an ISO 8601 date or timestamp' };
+            return { value: raw };
+        default:
+            if (spec.maxLength !== undefined && raw.length > spec.maxLength) return { reason: `must be at most ${spec.maxLength} characters` };
+            if (spec.pattern && !spec.pattern.test(raw)) return { reason: spec.patternReason || 'has an invalid format' };
+            return { value: raw };
     }
+}
+
+const LOCATION_NAMES = { query: 'query', params: 'path', body: 'body' };
+
+// JSON bodies carry numbers and arrays; flatten them to the query-string
+// form parseParam expects.
+function bodyValue(value) {
+    if (Array.isArray(value)) return value.join(',');
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    return value;
+}
+
+// Express middleware: parses req[location] against `schema`, replaces it with
+// the typed values (unknown parameters are dropped) and answers 400 listing
+// every invalid field otherwise.
+function validateRequest(location, schema) {
+    return (req, res, next) => {
+        const values = {};
+        const errors = [];
+        const input = req[location] || {};
+
+        Object.entries(schema).forEach(([field, spec]) => {
+            const raw = location === 'body' ? bodyValue(input[field]) : input[field];
+            if (raw === undefined || raw === '') {
+                if (spec.default !== undefined) values[field] = spec.default;
+                return;
+            }
+            const result = parseParam(spec, raw);
+            if (result.reason) errors.push({ field, reason: result.reason, value: raw });
+            else values[field] = result.value;
+        });
+
+        ORDERED_PARAMS.forEach(([low, high]) => {
+            if (!(low in schema) || values[low] === undefined || values[high] === undefined) return;
+            const a = schema[low].type === 'date' ? Date.parse(values[low]) : values[low];
+            const b = schema[high].type === 'date' ? Date.parse(values[high]) : values[high];
+            if (a > b) errors.push({ field: high, reason: `must not be before ${low}`, value: input[high] });
+        });
+
+        if (errors.length > 0) {
+            return res.status(400).json({ error: `Invalid ${LOCATION_NAMES[location]} parameters`, details: errors });
+        }
+
+        req[location] = values;
+        next();
+    };
+}
+
+const validateQuery = schema => validateRequest('query', schema);
+const validateParams = schema => validateRequest('params', schema);
+const validateBody = schema => validateRequest('body', schema);
+
+function invalidParam(res, field, reason, value, location = 'query') {
+    return res.status(400).json({ error: `Invalid ${LOCATION_NAMES[location]} parameters`, details: [{ field, reason, value }] });
+}
+
+function tripSource(filters) {
+    const rollupable = Object.keys(filters).every(name => ROLLUP_FILTERS.includes(name));
+    return rollupable ? TRIP_SOURCES.rollup : TRIP_SOURCES.trips;
+}
+
+// Numeric trip columns the clusterer can use as features.
+const CLUSTER_FEATURES = {
+    lat: 'z.centroid_lat',
+    lon: 'z.centroid_lon',
+    dropoff_lat: 'dz.centroid_lat',
+    dropoff_lon: 'dz.centroid_lon',
+    duration: 't.trip_duration_sec',
+    distance_km: '(t.trip_distance * 1.60934)',
+    speed_kmh: 't.speed_kmh',
+    hour_of_day: 't.hour_of_day',
+    day_of_week: 't.day_of_week',
+    passenger_count: 't.passenger_count',
+    fare_amount: 't.fare_amount',
+    total_amount: 't.total_amount',
+    fare_per_km: 't.fare_per_km',
+    tip_rate: 't.tip_rate'
+};
+
+// Origin-destination mode clusters each trip as a pickup -> dropoff segment.
+const OD_FEATURES = ['lat', 'lon', 'dropoff_lat', 'dropoff_lon'];
+
+// Every column a clustering sample row carries: the features plus what the
+// cluster profiles and OD corridors report.
+const SAMPLE_COLUMNS = {
+    ...CLUSTER_FEATURES,
+    pickup_borough: 't.pickup_borough',
+    dropoff_borough: 't.dropoff_borough',
+    pu_location_id: 't.pu_location_id',
+    do_location_id: 't.do_location_id',
+    pickup_zone: 'z.zone',
+    dropoff_zone: 'dz.zone'
+};
+
+const SAMPLING_METHODS = ['uniform', 'stratified'];
+
+const SAMPLE_STRATA = {
+    borough: 't.pickup_borough',
+    hour: 't.hour_of_day'
+};
+
+// Proportional allocation: each stratum gets its share of `size`, rounded by
+// largest remainder so the quotas add up to min(size, population).
+function allocateSample(strata, size) {
+    const population = strata.reduce((sum, s) => sum + s.population, 0);
+    const target = Math.min(size, population);
+    const quotas = strata.map(s => {
+        const exact = population > 0 ? target * s.population / population : 0;
+        return { ...s, sampleSize: Math.floor(exact), remainder: exact - Math.floor(exact) };
+    });
     
-    calculateDistance(point1, point2) {
-        if (!point1 || !point2) return Infinity;
-        
-        const lat1 = parseFloat(point1.lat) || 0;
-        const lat2 = parseFloat(point2.lat) || 0;
-        const lon1 = parseFloat(point1.lon) || 0;
-        const lon2 = parseFloat(point2.lon) || 0;
-        const dur1 = parseFloat(point1.duration) || 0;
-        const dur2 = parseFloat(point2.duration) || 0;
-        
-        const latDiff = lat1 - lat2;
-        const lonDiff = lon1 - lon2;
-        const durationDiff = (dur1 - dur2) / 1000;
-        
-        return Math.sqrt(latDiff * latDiff + lonDiff * lonDiff + durationDiff * durationDiff);
-    }
+    const left = target - quotas.reduce((sum, q) => sum + q.sampleSize, 0);
+    [...quotas].sort((a, b) => b.remainder - a.remainder).slice(0, left).forEach(q => q.sampleSize++);
+    
+    return quotas.map(({ remainder, ...quota }) => quota);
 }
 
-app.get('/api/stats', async (req, res) => {
+app.get('/api/stats', validateQuery(TRIP_FILTER_PARAMS), async (req, res) => {
+    let client;
     try {
-        const client = await pool.connect();
+        const { whereClause, params, filters } = buildTripFilters(req.query);
+        const source = tripSource(filters);
+        client = await pool.connect();
         
         const stats = await client.query(`
             SELECT 
-                COUNT(*) as total_trips,
-                AVG(trip_duration_sec) as avg_duration,
-                AVG(trip_distance * 1.60934) as avg_distance,
-                AVG(speed_kmh) as avg_speed,
-                MIN(tpep_pickup_datetime) as earliest_trip,
-                MAX(tpep_pickup_datetime) as latest_trip
-            FROM trips
-        `);
+                ${source.count} as total_trips,
+                ${source.avgDuration} as avg_duration,
+                ${source.avgDistance} as avg_distance,
+                ${source.avgSpeed} as avg_speed,
+                ${source.earliest} as earliest_trip,
+                ${source.latest} as latest_trip
+            FROM ${source.table}
+            ${whereClause}
+        `, params);
         
         const boroughStats = await client.query(`
             SELECT 
                 pickup_borough,
-                COUNT(*) as trip_count,
-                AVG(trip_duration_sec) as avg_duration,
-                AVG(trip_distance * 1.60934) as avg_distance
-            FROM trips 
-            WHERE pickup_borough IS NOT NULL AND pickup_borough != ''
+                ${source.count} as trip_count,
+                ${source.avgDuration} as avg_duration,
+                ${source.avgDistance} as avg_distance
+            FROM ${source.table} 
+            ${whereClause}
+            AND pickup_borough IS NOT NULL AND pickup_borough != ''
             GROUP BY pickup_borough
             ORDER BY trip_count DESC
-        `);
+        `, params);
+        
+        const serviceStats = await client.query(`
+            SELECT 
+                service_type,
+                ${source.count} as trip_count,
+                ${source.avgDuration} as avg_duration,
+                ${source.avgDistance} as avg_distance,
+                ${source.avgSpeed} as avg_speed
+            FROM ${source.table}
+            ${whereClause}
+            GROUP BY service_type
+            ORDER BY trip_count DESC
+        `, params);
         
         const hourlyStats = await client.query(`
             SELECT 
                 hour_of_day,
-                COUNT(*) as trip_count,
-                AVG(trip_duration_sec) as avg_duration,
-                AVG(speed_kmh) as avg_speed
-            FROM trips
+                ${source.count} as trip_count,
+                ${source.avgDuration} as avg_duration,
+                ${source.avgSpeed} as avg_speed
+            FROM ${source.table}
+            ${whereClause}
             GROUP BY hour_of_day
             ORDER BY hour_of_day
-        `);
-        
-        client.release();
+        `, params);
         
         const overall = stats.rows[0];
         const processedOverall = {
@@ -163,6 +514,15 @@ app.get('/api/stats', async (req, res) => {
             avg_distance: parseFloat(row.avg_distance)
         }));
         
+        const processedServices = serviceStats.rows.map(row => ({
+            service_type: row.service_type,
+            label: SERVICE_LABELS[row.service_type] || row.service_type,
+            trip_count: parseInt(row.trip_count),
+            avg_duration: parseFloat(row.avg_duration),
+            avg_distance: row.avg_distance == null ? null : parseFloat(row.avg_distance),
+            avg_speed: row.avg_speed == null ? null : parseFloat(row.avg_speed)
+        }));
+        
         const processedHourly = hourlyStats.rows.map(row => ({
             hour_of_day: parseInt(row.hour_of_day),
             trip_count: parseInt(row.trip_count),
@@ -171,178 +531,672 @@ app.get('/api/stats', async (req, res) => {
         }));
         
         res.json({
+            source: source.table,
             overall: processedOverall,
             boroughs: processedBoroughs,
+            services: processedServices,
             hourly: processedHourly
         });
         
     } catch (error) {
         console.error('Error fetching stats:', error);
         res.status(500).json({ error: 'Failed to fetch statistics' });
+    } finally {
+        if (client) client.release();
     }
 });
 
-app.get('/api/trips', async (req, res) => {
+app.get('/api/timeseries', validateQuery({
+    ...TRIP_FILTER_PARAMS,
+    granularity: { type: 'enum', values: Object.keys(TIMESERIES_BUCKETS), default: 'hour' }
+}), async (req, res) => {
+    let client;
     try {
-        const { 
-            limit = 1000, 
-            offset = 0, 
-            borough, 
-            hour, 
-            minDuration, 
-            maxDuration,
-            tripType 
-        } = req.query;
-        
-        let whereClause = 'WHERE 1=1';
-        const params = [];
-        let paramCount = 0;
-        
-        if (borough) {
-            paramCount++;
-            whereClause += ` AND pickup_borough = $${paramCount}`;
-            params.push(borough);
-        }
-        
-        if (hour !== undefined) {
-            paramCount++;
-            whereClause += ` AND hour_of_day = $${paramCount}`;
-            params.push(parseInt(hour));
-        }
-        
-        if (minDuration) {
-            paramCount++;
-            whereClause += ` AND trip_duration_sec >= $${paramCount}`;
-            params.push(parseInt(minDuration));
-        }
+        const { granularity } = req.query;
+        const bucket = TIMESERIES_BUCKETS[granularity];
+        const { whereClause, params } = buildTripFilters(req.query);
+
+        client = await pool.connect();
+        const result = await client.query(`
+            SELECT
+                ${bucket} as bucket,
+                COUNT(*) as trip_count,
+                AVG(trip_duration_sec) as avg_duration,
+                AVG(speed_kmh) as avg_speed,
+                SUM(total_amount) as revenue
+            FROM trips
+            ${whereClause}
+            GROUP BY 1
+            ORDER BY 1
+        `, params);
+
+        res.json({
+            granularity,
+            series: result.rows.map(row => ({
+                bucket: formatNycTimestamp(row.bucket),
+                trip_count: parseInt(row.trip_count),
+                avg_duration: parseFloat(row.avg_duration),
+                avg_speed: parseFloat(row.avg_speed),
+                revenue: parseFloat(row.revenue) || 0
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching time series:', error);
+        res.status(500).json({ error: 'Failed to fetch time series' });
+    } finally {
+        if (client) client.release();
+    }
+});
+
+app.get('/api/trips', validateQuery({
+    ...TRIP_FILTER_PARAMS,
+    limit: { type: 'int', min: 1, max: 10000, default: 1000 },
+    offset: { type: 'int', min: 0, max: Number.MAX_SAFE_INTEGER, default: 0 },
+    cursor: { type: 'string', maxLength: 200 },
+    count: { type: 'enum', values: TRIP_COUNT_MODES, default: 'estimated' }
+}), async (req, res) => {
+    let client;
+    try {
+        const { limit, offset, cursor, count } = req.query;
+        const { whereClause, params, filters } = buildTripFilters(req.query);
         
-        if (maxDuration) {
-            paramCount++;
-            whereClause += ` AND trip_duration_sec <= $${paramCount}`;
-            params.push(parseInt(maxDuration));
-        }
+        let pageClause = whereClause;
+        const pageParams = [...params];
         
-        if (tripType) {
-            paramCount++;
-            whereClause += ` AND trip_type = $${paramCount}`;
-            params.push(tripType);
+        if (cursor) {
+            const position = decodeCursor(cursor);
+            if (!position) {
+                return invalidParam(res, 'cursor', 'is not a cursor returned by this endpoint', cursor);
+            }
+            pageParams.push(position.pickup, position.tripId);
+            pageClause += ` AND (tpep_pickup_datetime, trip_id) < ($${pageParams.length - 1}, $${pageParams.length})`;
+            pageParams.push(limit + 1, 0);
+        } else {
+            pageParams.push(limit + 1, offset);
         }
         
-        paramCount++;
-        params.push(parseInt(limit));
-        paramCount++;
-        params.push(parseInt(offset));
-        
-        const client = await pool.connect();
+        client = await pool.connect();
         
         const trips = await client.query(`
-            SELECT trip_id, vendor_id, tpep_pickup_datetime as pickup_datetime, tpep_dropoff_datetime as dropoff_datetime,
+            SELECT trip_id, service_type, vendor_id, tpep_pickup_datetime as pickup_datetime, tpep_dropoff_datetime as dropoff_datetime,
                    passenger_count, trip_distance, (trip_distance * 1.60934) as distance_km, trip_duration_sec as trip_duration,
-                   speed_kmh, fare_per_km, hour_of_day, day_of_week, month, pickup_borough, dropoff_borough, trip_type
+                   speed_kmh, fare_per_km, hour_of_day, day_of_week, month, pickup_borough, dropoff_borough, trip_type,
+                   tpep_pickup_datetime::text as cursor_pickup
             FROM trips 
-            ${whereClause}
-            ORDER BY tpep_pickup_datetime DESC
-            LIMIT $${paramCount - 1} OFFSET $${paramCount}
-        `, params);
+            ${pageClause}
+            ORDER BY tpep_pickup_datetime DESC, trip_id DESC
+            LIMIT $${pageParams.length - 1} OFFSET $${pageParams.length}
+        `, pageParams);
         
-        client.release();
+        let total = null;
+        if (count === 'exact') {
+            const result = await client.query(`SELECT COUNT(*) as count FROM trips ${whereClause}`, params);
+            total = { count: parseInt(result.rows[0].count), exact: true };
+        } else if (count === 'estimated') {
+            const result = await client.query(`EXPLAIN (FORMAT JSON) SELECT 1 FROM trips ${whereClause}`, params);
+            total = { count: result.rows[0]['QUERY PLAN'][0].Plan['Plan Rows'], exact: false };
+        }
+        
+        const hasMore = trips.rows.length > limit;
+        const rows = trips.rows.slice(0, limit);
+        const last = rows[rows.length - 1];
         
-        res.json(trips.rows);
+        res.json({
+            trips: rows.map(({ cursor_pickup, ...trip }) => trip),
+            nextCursor: hasMore && last ? encodeCursor(last.cursor_pickup, last.trip_id) : null,
+            total,
+            filters
+        });
         
     } catch (error) {
         console.error('Error fetching trips:', error);
         res.status(500).json({ error: 'Failed to fetch trips' });
+    } finally {
+        if (client) client.release();
+    }
+});
+
+app.get('/api/trips/export', validateQuery({
+    ...TRIP_FILTER_PARAMS,
+    format: { type: 'enum', values: Object.keys(EXPORT_FORMATS), default: 'csv' }
+}), async (req, res) => {
+    const { format } = req.query;
+    const writer = EXPORT_FORMATS[format];
+
+    let client;
+    try {
+        const { whereClause, params } = buildTripFilters(req.query, 't');
+        client = await pool.connect();
+
+        const stream = client.query(new QueryStream(`
+            SELECT t.trip_id, t.service_type, t.vendor_id, t.tpep_pickup_datetime as pickup_datetime, t.tpep_dropoff_datetime as dropoff_datetime,
+                   t.passenger_count, t.trip_distance, (t.trip_distance * 1.60934) as distance_km, t.trip_duration_sec as trip_duration,
+                   t.speed_kmh, t.fare_amount, t.tip_amount, t.total_amount, t.payment_type, t.fare_per_km, t.tip_rate,
+                   t.hour_of_day, t.day_of_week, t.month, t.pu_location_id, t.do_location_id,
+                   t.pickup_borough, t.dropoff_borough, t.trip_type,
+                   pz.centroid_lat as pickup_lat, pz.centroid_lon as pickup_lon,
+                   dz.centroid_lat as dropoff_lat, dz.centroid_lon as dropoff_lon
+            FROM trips t
+            LEFT JOIN zones pz ON t.pu_location_id = pz.location_id
+            LEFT JOIN zones dz ON t.do_location_id = dz.location_id
+            ${whereClause}
+            ORDER BY t.trip_id
+        `, params, { batchSize: 1000 }));
+
+        let index = 0;
+        const serialize = new Transform({
+            writableObjectMode: true,
+            transform(row, encoding, callback) {
+                callback(null, (index === 0 ? writer.header() : '') + writer.row(row, index++));
+            },
+            flush(callback) {
+                callback(null, (index === 0 ? writer.header() : '') + writer.footer());
+            }
+        });
+
+        res.setHeader('Content-Type', writer.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="trips.${format}"`);
+
+        pipeline(stream, serialize, res, (error) => {
+            client.release(error);
+            if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+                console.error('Error exporting trips:', error);
+            }
+        });
+    } catch (error) {
+        if (client) client.release();
+        console.error('Error exporting trips:', error);
+        res.status(500).json({ error: 'Failed to export trips' });
     }
 });
 
-app.get('/api/clusters', async (req, res) => {
+app.get('/api/trips/:id', validateParams({
+    id: { type: 'string', pattern: /^\d{1,18}$/, patternReason: 'must be a numeric trip_id' }
+}), async (req, res) => {
+    let client;
     try {
-        const { k = 5, limit = 10000 } = req.query;
-        const kValue = Math.max(1, Math.min(parseInt(k) || 5, 20));
-        const limitValue = Math.max(10, Math.min(parseInt(limit) || 10000, 50000));
+        client = await pool.connect();
+
+        const result = await client.query(`
+            SELECT t.*,
+                   (t.trip_distance * 1.60934) as distance_km,
+                   pz.zone as pickup_zone, pz.service_zone as pickup_service_zone,
+                   dz.zone as dropoff_zone, dz.service_zone as dropoff_service_zone
+            FROM trips t
+            LEFT JOIN zones pz ON t.pu_location_id = pz.location_id
+            LEFT JOIN zones dz ON t.do_location_id = dz.location_id
+            WHERE t.trip_id = $1
+        `, [req.params.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Trip not found' });
+        }
+
+        const trip = result.rows[0];
+
+        const peers = await client.query(`
+            SELECT
+                COUNT(*) as peer_count,
+                AVG(CASE WHEN trip_duration_sec <= $4 THEN 1 WHEN trip_duration_sec IS NOT NULL THEN 0 END) as duration_percentile,
+                AVG(CASE WHEN fare_amount <= $5 THEN 1 WHEN fare_amount IS NOT NULL THEN 0 END) as fare_percentile,
+                PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY trip_duration_sec) as median_duration,
+                PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY fare_amount) as median_fare
+            FROM trips
+            WHERE pu_location_id = $1 AND do_location_id = $2 AND hour_of_day = $3 AND service_type = $6
+        `, [trip.pu_location_id, trip.do_location_id, trip.hour_of_day, trip.trip_duration_sec, trip.fare_amount, trip.service_type]);
+
+        const comparison = peers.rows[0];
+        // A metric the trip itself lacks (fares for FHV trips) has no percentile or peer median.
+        const peerValue = (own, value, scale = 1) => (own === null || value === null ? null : parseFloat(value) * scale);
+
+        res.json({
+            trip: {
+                ...trip,
+                service: SERVICE_LABELS[trip.service_type] || trip.service_type,
+                vendor: VENDORS[trip.vendor_id] || 'Unknown',
+                payment_type_label: PAYMENT_TYPES[trip.payment_type] || 'Unknown',
+                rate_code: RATE_CODES[trip.rate_code_id] || 'Unknown'
+            },
+            comparison: {
+                scope: 'same service, pickup zone, dropoff zone and hour of day',
+                peer_count: parseInt(comparison.peer_count),
+                duration_percentile: peerValue(trip.trip_duration_sec, comparison.duration_percentile, 100),
+                fare_percentile: peerValue(trip.fare_amount, comparison.fare_percentile, 100),
+                median_duration: peerValue(trip.trip_duration_sec, comparison.median_duration),
+                median_fare: peerValue(trip.fare_amount, comparison.median_fare)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching trip:', error);
+        res.status(500).json({ error: 'Failed to fetch trip' });
+    } finally {
+        if (client) client.release();
+    }
+});
+
+app.get('/api/od-matrix', validateQuery({
+    ...TRIP_FILTER_PARAMS,
+    level: { type: 'enum', values: ['zone', 'borough'], default: 'zone' },
+    limit: { type: 'int', min: 1, max: 5000, default: 100 }
+}), async (req, res) => {
+    let client;
+    try {
+        const { level, limit } = req.query;
+        const { whereClause, params } = buildTripFilters(req.query, 't');
+
+        params.push(limit);
+
+        const query = level === 'zone'
+            ? `
+                SELECT
+                    t.pu_location_id as origin_id,
+                    pz.zone as origin,
+                    pz.borough as origin_borough,
+                    t.do_location_id as destination_id,
+                    dz.zone as destination,
+                    dz.borough as destination_borough,
+                    COUNT(*) as trip_count,
+                    PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY t.trip_duration_sec) as median_duration,
+                    AVG(t.fare_amount) as avg_fare
+                FROM trips t
+                JOIN zones pz ON t.pu_location_id = pz.location_id
+                JOIN zones dz ON t.do_location_id = dz.location_id
+                ${whereClause}
+                GROUP BY t.pu_location_id, pz.zone, pz.borough, t.do_location_id, dz.zone, dz.borough
+                ORDER BY trip_count DESC
+                LIMIT $${params.length}
+            `
+            : `
+                SELECT
+                    t.pickup_borough as origin,
+                    t.dropoff_borough as destination,
+                    COUNT(*) as trip_count,
+                    PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY t.trip_duration_sec) as median_duration,
+                    AVG(t.fare_amount) as avg_fare
+                FROM trips t
+                ${whereClause}
+                AND t.pickup_borough IS NOT NULL AND t.pickup_borough != ''
+                AND t.dropoff_borough IS NOT NULL AND t.dropoff_borough != ''
+                GROUP BY t.pickup_borough, t.dropoff_borough
+                ORDER BY trip_count DESC
+                LIMIT $${params.length}
+            `;
+
+        client = await pool.connect();
+        const result = await client.query(query, params);
+
+        const pairs = result.rows.map(row => ({
+            ...row,
+            trip_count: parseInt(row.trip_count),
+            median_duration: parseFloat(row.median_duration),
+            avg_fare: parseFloat(row.avg_fare)
+        }));
+
+        res.json({
+            level,
+            pairs
+        });
+
+    } catch (error) {
+        console.error('Error fetching OD matrix:', error);
+        res.status(500).json({ error: 'Failed to fetch OD matrix' });
+    } finally {
+        if (client) client.release();
+    }
+});
+
+const CLUSTER_PARAMS = {
+    ...TRIP_FILTER_PARAMS,
+    mode: { type: 'enum', values: ['features', 'od'], default: 'features' },
+    limit: { type: 'int', min: 10, max: 50000, default: 10000 },
+    sampling: { type: 'enum', values: SAMPLING_METHODS, default: 'uniform' },
+    stratifyBy: { type: 'enum', values: Object.keys(SAMPLE_STRATA), default: 'borough' },
+    seed: { type: 'int', min: 0, max: 4294967295 },
+    nInit: { type: 'int', min: 1, max: 20, default: 3 },
+    features: { type: 'enumList', values: Object.keys(CLUSTER_FEATURES), default: ['lat', 'lon', 'duration'] },
+    scaling: { type: 'enum', values: SCALINGS, default: 'zscore' },
+    weights: { type: 'numberList', min: 0, max: 100 },
+    metric: { type: 'enum', values: Object.keys(METRICS), default: 'euclidean' },
+    unitMeters: { type: 'number', min: 1, max: 100000, default: 1000 }
+};
+
+const CLUSTER_RUN_PARAMS = {
+    ...CLUSTER_PARAMS,
+    k: { type: 'int', min: 1, max: 20, default: 5 },
+    algorithm: { type: 'enum', values: ['kmeans', 'dbscan'], default: 'kmeans' },
+    eps: { type: 'number', min: 1, max: 100000, default: 500 },
+    minPts: { type: 'int', min: 1, max: 1000, default: 10 },
+    pointsPerCluster: { type: 'int', min: 0, max: 5000, default: 200 }
+};
+
+const CLUSTER_SWEEP_PARAMS = {
+    ...CLUSTER_PARAMS,
+    limit: { type: 'int', min: 10, max: 50000, default: 5000 },
+    kMin: { type: 'int', min: 1, max: 20, default: 2 },
+    kMax: { type: 'int', min: 1, max: 20, default: 12 }
+};
+
+const CLUSTER_JOB_TYPES = {
+    clusters: CLUSTER_RUN_PARAMS,
+    sweep: CLUSTER_SWEEP_PARAMS
+};
+
+// Fills in the clustering options the schema cannot default: the fixed OD
+// feature set and one weight of 1 per feature.
+function resolveClusterOptions(location) {
+    return (req, res, next) => {
+        const options = req[location];
+        if (options.mode === 'od') options.features = OD_FEATURES;
+        const { features, weights } = options;
         
-        const client = await pool.connect();
+        if (weights && weights.length !== features.length) {
+            return invalidParam(res, 'weights', `must have one weight per feature (${features.length})`, weights.join(','), location);
+        }
         
-        const trips = await client.query(`
-            SELECT 
-                z.centroid_lat as lat,
-                z.centroid_lon as lon,
-                t.trip_duration_sec as duration,
-                (t.trip_distance * 1.60934) as distance_km,
-                t.speed_kmh,
-                t.pickup_borough,
-                t.hour_of_day
-            FROM trips t
+        options.weights = weights || features.map(() => 1);
+        next();
+    };
+}
+
+// Seeded uniform or stratified sample of `limit` filtered trips that have every
+// selected feature, in hash order so a seed reproduces the clusterer's input.
+async function fetchClusterSample(query) {
+    const { limit, sampling, stratifyBy, seed } = query;
+    const { whereClause, params } = buildTripFilters(query, 't');
+    const needsDropoff = query.features.some(feature => feature.startsWith('dropoff_'));
+    const stratum = SAMPLE_STRATA[stratifyBy];
+    const columns = Object.entries(SAMPLE_COLUMNS).map(([name, column]) => `${column} as ${name}`).join(',\n                ');
+    
+    const source = (tableSample = '') => `
+            FROM trips t ${tableSample}
             JOIN zones z ON t.pu_location_id = z.location_id
-            WHERE t.pickup_borough IS NOT NULL AND t.pickup_borough != ''
+            LEFT JOIN zones dz ON t.do_location_id = dz.location_id
+            ${whereClause}
+            AND t.pickup_borough IS NOT NULL AND t.pickup_borough != ''
             AND z.centroid_lat IS NOT NULL AND z.centroid_lon IS NOT NULL
-            LIMIT $1
-        `, [limitValue]);
+            ${needsDropoff ? 'AND dz.centroid_lat IS NOT NULL AND dz.centroid_lon IS NOT NULL' : ''}
+            ${query.features.map(feature => `AND ${CLUSTER_FEATURES[feature]} IS NOT NULL`).join(' ')}
+            ${sampling === 'stratified' ? `AND ${stratum} IS NOT NULL` : ''}
+    `;
+    
+    const client = await pool.connect();
+    
+    try {
+        if (sampling === 'stratified') {
+            const counts = await client.query(`
+                SELECT ${stratum}::text as stratum, COUNT(*)::int as population
+                ${source()}
+                GROUP BY ${stratum}
+                ORDER BY ${stratum}
+            `, params);
+            
+            const strata = allocateSample(counts.rows, limit);
+            const sampleParams = [...params, String(seed), strata.map(s => s.stratum), strata.map(s => s.sampleSize)];
+            const n = params.length;
+            
+            const trips = await client.query(`
+                SELECT ${Object.keys(SAMPLE_COLUMNS).map(name => `s.${name}`).join(', ')}
+                FROM (
+                    SELECT 
+                        ${columns},
+                        ${stratum}::text as stratum,
+                        md5(t.trip_id::text || ':' || $${n + 1}) as sample_key,
+                        ROW_NUMBER() OVER (PARTITION BY ${stratum} ORDER BY md5(t.trip_id::text || ':' || $${n + 1})) as sample_rank
+                    ${source()}
+                ) s
+                JOIN unnest($${n + 2}::text[], $${n + 3}::int[]) AS q(stratum, quota) ON q.stratum = s.stratum
+                WHERE s.sample_rank <= q.quota
+                ORDER BY s.sample_key
+            `, sampleParams);
+            
+            return {
+                rows: trips.rows,
+                sampling: {
+                    method: 'stratified',
+                    stratifyBy,
+                    seed,
+                    population: strata.reduce((sum, s) => sum + s.population, 0),
+                    sampleSize: trips.rows.length,
+                    strata
+                }
+            };
+        }
         
-        client.release();
+        const count = await client.query(`SELECT COUNT(*)::int as population ${source()}`, params);
+        const population = count.rows[0].population;
         
-        if (trips.rows.length === 0) {
-            return res.json({
-                clusters: [],
-                clusterCount: 0,
-                totalPoints: 0
-            });
+        // Oversample by three standard deviations so the Bernoulli draw
+        // almost never returns fewer than `limit` filtered rows.
+        const percent = population > 0 ? Math.min(100, 100 * (limit + 3 * Math.sqrt(limit) + 10) / population) : 100;
+        const sampleParams = [...params, String(seed), limit];
+        let tableSample = '';
+        if (percent < 100) {
+            sampleParams.push(percent, seed);
+            tableSample = `TABLESAMPLE BERNOULLI ($${sampleParams.length - 1}) REPEATABLE ($${sampleParams.length})`;
         }
         
-        const clusterer = new TripClusterer();
-        const clusters = clusterer.kMeans(trips.rows, kValue);
+        const trips = await client.query(`
+            SELECT 
+                ${columns}
+            ${source(tableSample)}
+            ORDER BY md5(t.trip_id::text || ':' || $${params.length + 1})
+            LIMIT $${params.length + 2}
+        `, sampleParams);
         
-        res.json({
-            clusters: clusters,
-            clusterCount: clusters.length,
-            totalPoints: trips.rows.length
+        return {
+            rows: trips.rows,
+            sampling: {
+                method: 'uniform',
+                seed,
+                population,
+                sampleSize: trips.rows.length,
+                samplePercent: percent
+            }
+        };
+    } finally {
+        client.release();
+    }
+}
+
+// Clustering runs in worker threads so a 50k-point fit never blocks the
+// event loop. Jobs are kept for CLUSTER_JOB_TTL_MS after they finish, and
+// completed results are cached by job type and parameters.
+const CLUSTER_JOB_TTL_MS = 10 * 60 * 1000;
+const CLUSTER_CACHE_TTL_MS = 30 * 60 * 1000;
+const CLUSTER_CACHE_SIZE = 50;
+
+const clusterJobs = new Map();
+const clusterCache = new Map();
+
+// Unseeded requests share a cache entry: any seed answers them, and the
+// cached result reports the one that was used.
+function clusterCacheKey(type, params) {
+    return JSON.stringify([type, Object.keys(params).sort().map(name => [name, params[name]])]);
+}
+
+function cachedClusterResult(key) {
+    const entry = clusterCache.get(key);
+    if (!entry) return null;
+    if (Date.now() - entry.cachedAt > CLUSTER_CACHE_TTL_MS) {
+        clusterCache.delete(key);
+        return null;
+    }
+    return entry.result;
+}
+
+function cacheClusterResult(key, result) {
+    clusterCache.delete(key);
+    clusterCache.set(key, { result, cachedAt: Date.now() });
+    if (clusterCache.size > CLUSTER_CACHE_SIZE) clusterCache.delete(clusterCache.keys().next().value);
+}
+
+function finishClusterJob(job, status, fields = {}) {
+    if (job.status !== 'running') return;
+    Object.assign(job, fields, { status, finishedAt: new Date().toISOString(), worker: null });
+    if (status === 'completed') job.progress = 1;
+    setTimeout(() => clusterJobs.delete(job.id), CLUSTER_JOB_TTL_MS).unref();
+    job.resolve(job);
+}
+
+// Starts a job and returns it at once; `job.done` resolves when it reaches
+// a final status (completed, failed or cancelled).
+function startClusterJob(type, params) {
+    const key = clusterCacheKey(type, params);
+    const job = {
+        id: crypto.randomUUID(),
+        type,
+        status: 'running',
+        stage: 'loading',
+        progress: 0,
+        cached: false,
+        createdAt: new Date().toISOString(),
+        finishedAt: null,
+        result: null,
+        error: null,
+        worker: null
+    };
+    job.done = new Promise(resolve => { job.resolve = resolve; });
+    clusterJobs.set(job.id, job);
+    
+    const cached = cachedClusterResult(key);
+    if (cached) {
+        finishClusterJob(job, 'completed', { stage: 'done', cached: true, result: cached });
+        return job;
+    }
+    
+    const seed = params.seed !== undefined ? params.seed : Math.floor(Math.random() * 4294967296);
+    
+    fetchClusterSample({ ...params, seed }).then(({ rows, sampling }) => {
+        if (job.status !== 'running') return;
+        
+        job.stage = 'clustering';
+        job.worker = new Worker(path.join(__dirname, 'lib', 'clusterWorker.js'), {
+            workerData: { type, params: { ...params, seed }, rows }
         });
         
-    } catch (error) {
-        res.status(500).json({ error: 'Failed to generate clusters' });
+        job.worker.on('message', message => {
+            if (message.type === 'progress') {
+                job.progress = message.progress;
+            } else if (message.type === 'result') {
+                const result = { ...message.result, sampling };
+                cacheClusterResult(key, result);
+                finishClusterJob(job, 'completed', { stage: 'done', result });
+            }
+        });
+        job.worker.on('error', error => {
+            console.error('Error in cluster worker:', error);
+            finishClusterJob(job, 'failed', { error: 'Clustering failed' });
+        });
+        job.worker.on('exit', code => {
+            finishClusterJob(job, 'failed', { error: `Cluster worker exited with code ${code}` });
+        });
+    }).catch(error => {
+        console.error('Error loading cluster sample:', error);
+        finishClusterJob(job, 'failed', { error: 'Failed to load trips for clustering' });
+    });
+    
+    return job;
+}
+
+function cancelClusterJob(job) {
+    const { worker } = job;
+    finishClusterJob(job, 'cancelled');
+    if (worker) worker.terminate();
+}
+
+function clusterJobStatus(job) {
+    const { id, type, status, stage, progress, cached, createdAt, finishedAt, result, error } = job;
+    return {
+        id,
+        type,
+        status,
+        stage,
+        progress,
+        cached,
+        createdAt,
+        finishedAt,
+        ...(status === 'completed' ? { result } : {}),
+        ...(status === 'failed' ? { error } : {})
+    };
+}
+
+app.get('/api/clusters', validateQuery(CLUSTER_RUN_PARAMS), resolveClusterOptions('query'), async (req, res) => {
+    const job = await startClusterJob('clusters', req.query).done;
+    
+    if (job.status !== 'completed') {
+        return res.status(500).json({ error: 'Failed to generate clusters' });
+    }
+    res.json(job.result);
+});
+
+app.get('/api/clusters/sweep', validateQuery(CLUSTER_SWEEP_PARAMS), resolveClusterOptions('query'), async (req, res) => {
+    const job = await startClusterJob('sweep', req.query).done;
+    
+    if (job.status !== 'completed') {
+        return res.status(500).json({ error: 'Failed to run cluster sweep' });
+    }
+    res.json(job.result);
+});
+
+// The job body takes the same fields as the matching GET route, as JSON.
+app.post('/api/clusters/jobs', (req, res, next) => {
+    const type = (req.body || {}).type || 'clusters';
+    
+    if (!CLUSTER_JOB_TYPES[type]) {
+        return invalidParam(res, 'type', `must be one of: ${Object.keys(CLUSTER_JOB_TYPES).join(', ')}`, type, 'body');
     }
+    
+    req.jobType = type;
+    validateBody(CLUSTER_JOB_TYPES[type])(req, res, next);
+}, resolveClusterOptions('body'), (req, res) => {
+    const job = startClusterJob(req.jobType, req.body);
+    res.status(202).location(`/api/clusters/jobs/${job.id}`).json(clusterJobStatus(job));
 });
 
-app.get('/api/heatmap', async (req, res) => {
+const CLUSTER_JOB_ID = {
+    id: { type: 'string', pattern: /^[0-9a-f-]{36}$/, patternReason: 'must be a job id' }
+};
+
+app.get('/api/clusters/jobs/:id', validateParams(CLUSTER_JOB_ID), (req, res) => {
+    const job = clusterJobs.get(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json(clusterJobStatus(job));
+});
+
+app.delete('/api/clusters/jobs/:id', validateParams(CLUSTER_JOB_ID), (req, res) => {
+    const job = clusterJobs.get(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    if (job.status !== 'running') return res.status(409).json({ error: `Job already ${job.status}` });
+    
+    cancelClusterJob(job);
+    res.json(clusterJobStatus(job));
+});
+
+app.get('/api/heatmap', validateQuery(TRIP_FILTER_PARAMS), async (req, res) => {
+    let client;
     try {
-        const { hour, borough } = req.query;
-        
-        let whereClause = 'WHERE z.centroid_lat IS NOT NULL AND z.centroid_lon IS NOT NULL';
-        const params = [];
-        let paramCount = 0;
+        const { whereClause, params, filters } = buildTripFilters(req.query, 't');
+        const source = tripSource(filters);
         
-        if (hour !== undefined) {
-            paramCount++;
-            whereClause += ` AND t.hour_of_day = $${paramCount}`;
-            params.push(parseInt(hour));
-        }
-        
-        if (borough) {
-            paramCount++;
-            whereClause += ` AND t.pickup_borough = $${paramCount}`;
-            params.push(borough);
-        }
-        
-        const client = await pool.connect();
+        client = await pool.connect();
         
         const heatmapData = await client.query(`
             SELECT 
                 z.centroid_lat as lat,
                 z.centroid_lon as lon,
-                COUNT(*) as intensity,
-                AVG(t.trip_duration_sec) as avg_duration,
-                AVG(t.speed_kmh) as avg_speed
-            FROM trips t
+                ${source.count} as intensity,
+                ${source.avgDuration} as avg_duration,
+                ${source.avgSpeed} as avg_speed
+            FROM ${source.table} t
             JOIN zones z ON t.pu_location_id = z.location_id
             ${whereClause}
+            AND z.centroid_lat IS NOT NULL AND z.centroid_lon IS NOT NULL
             GROUP BY z.location_id, z.centroid_lat, z.centroid_lon
-            HAVING COUNT(*) > 2
+            HAVING ${source.count} > 2
             ORDER BY intensity DESC
             LIMIT 500
         `, params);
         
-        client.release();
-        
         const processedData = heatmapData.rows.map(row => ({
             lat: parseFloat(row.lat),
             lon: parseFloat(row.lon),
@@ -356,21 +1210,382 @@ app.get('/api/heatmap', async (req, res) => {
     } catch (error) {
         console.error('Error fetching heatmap data:', error);
         res.status(500).json({ error: 'Failed to fetch heatmap data' });
+    } finally {
+        if (client) client.release();
     }
 });
 
 app.get('/api/zones', async (req, res) => {
+    let client;
     try {
-        const client = await pool.connect();
+        client = await pool.connect();
         const result = await client.query(`
             SELECT location_id, borough, zone, service_zone, centroid_lat, centroid_lon
             FROM zones ORDER BY borough, zone
         `);
-        client.release();
         res.json(result.rows);
     } catch (error) {
         console.error('Error fetching zones:', error);
         res.status(500).json({ error: 'Failed to fetch zones' });
+    } finally {
+        if (client) client.release();
+    }
+});
+
+app.get('/api/zones/geojson', validateQuery(TRIP_FILTER_PARAMS), async (req, res) => {
+    let client;
+    try {
+        const { whereClause, params, filters } = buildTripFilters(req.query, 't');
+        const source = tripSource(filters);
+
+        client = await pool.connect();
+        const result = await client.query(`
+            SELECT
+                z.location_id, z.borough, z.zone, z.service_zone, z.geometry,
+                COALESCE(m.trip_count, 0) as trip_count,
+                m.avg_speed,
+                m.avg_duration,
+                m.tip_rate
+            FROM zones z
+            LEFT JOIN (
+                SELECT
+                    t.pu_location_id,
+                    ${source.count} as trip_count,
+                    ${source.avgSpeed} as avg_speed,
+                    ${source.avgDuration} as avg_duration,
+                    ${source.avgTipRate} as tip_rate
+                FROM ${source.table} t
+                ${whereClause}
+                GROUP BY t.pu_location_id
+            ) m ON m.pu_location_id = z.location_id
+            WHERE z.geometry IS NOT NULL
+            ORDER BY z.location_id
+        `, params);
+
+        const toFloat = v => (v == null ? null : parseFloat(v));
+
+        res.json({
+            type: 'FeatureCollection',
+            features: result.rows.map(row => ({
+                type: 'Feature',
+                id: row.location_id,
+                geometry: row.geometry,
+                properties: {
+                    location_id: row.location_id,
+                    borough: row.borough,
+                    zone: row.zone,
+                    service_zone: row.service_zone,
+                    trip_count: parseInt(row.trip_count),
+                    avg_speed: toFloat(row.avg_speed),
+                    avg_duration: toFloat(row.avg_duration),
+                    tip_rate: toFloat(row.tip_rate)
+                }
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching zone geojson:', error);
+        res.status(500).json({ error: 'Failed to fetch zone polygons' });
+    } finally {
+        if (client) client.release();
+    }
+});
+
+app.get('/api/fares/breakdown', validateQuery(TRIP_FILTER_PARAMS), async (req, res) => {
+    let client;
+    try {
+        const { whereClause, params } = buildTripFilters(req.query);
+        const columns = FARE_COMPONENTS.concat('total_amount');
+
+        client = await pool.connect();
+        const result = await client.query(`
+            SELECT
+                COUNT(total_amount) as trip_count,
+                ${columns.map(c => `AVG(${c}) as avg_${c}, SUM(${c}) as sum_${c}`).join(',\n                ')}
+            FROM trips
+            ${whereClause}
+        `, params);
+
+        const row = result.rows[0];
+        const totalRevenue = parseFloat(row.sum_total_amount) || 0;
+
+        res.json({
+            trip_count: parseInt(row.trip_count),
+            avg_total: parseFloat(row.avg_total_amount) || 0,
+            total_revenue: totalRevenue,
+            components: FARE_COMPONENTS.map(c => ({
+                component: c,
+                avg: parseFloat(row[`avg_${c}`]) || 0,
+                total: parseFloat(row[`sum_${c}`]) || 0,
+                share: totalRevenue > 0 ? (parseFloat(row[`sum_${c}`]) || 0) / totalRevenue : 0
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching fare breakdown:', error);
+        res.status(500).json({ error: 'Failed to fetch fare breakdown' });
+    } finally {
+        if (client) client.release();
+    }
+});
+
+app.get('/api/fares/tips', validateQuery({
+    ...TRIP_FILTER_PARAMS,
+    groupBy: { type: 'enum', values: Object.keys(TIP_GROUPS), default: 'hour' }
+}), async (req, res) => {
+    let client;
+    try {
+        const { groupBy } = req.query;
+        const column = TIP_GROUPS[groupBy];
+        const { whereClause, params } = buildTripFilters(req.query);
+
+        client = await pool.connect();
+        const result = await client.query(`
+            SELECT
+                ${column} as group_value,
+                COUNT(*) as trip_count,
+                AVG(tip_rate) as avg_tip_rate,
+                AVG(tip_amount) as avg_tip,
+                AVG(CASE WHEN tip_amount > 0 THEN 1 ELSE 0 END) as tipped_share
+            FROM trips
+            ${whereClause}
+            AND ${column} IS NOT NULL AND tip_rate IS NOT NULL
+            GROUP BY ${column}
+            ORDER BY ${column}
+        `, params);
+
+        res.json({
+            groupBy,
+            groups: result.rows.map(row => ({
+                group: groupBy === 'borough' ? row.group_value : parseInt(row.group_value),
+                label: groupBy === 'payment_type' ? (PAYMENT_TYPES[row.group_value] || 'Other') : undefined,
+                trip_count: parseInt(row.trip_count),
+                avg_tip_rate: parseFloat(row.avg_tip_rate),
+                avg_tip: parseFloat(row.avg_tip),
+                tipped_share: parseFloat(row.tipped_share)
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching tip rates:', error);
+        res.status(500).json({ error: 'Failed to fetch tip rates' });
+    } finally {
+        if (client) client.release();
+    }
+});
+
+app.get('/api/fares/per-km', validateQuery({
+    ...TRIP_FILTER_PARAMS,
+    max: { type: 'number', min: 1, max: 1000, default: 20 },
+    bins: { type: 'int', min: 5, max: 200, default: 40 }
+}), async (req, res) => {
+    let client;
+    try {
+        const { max: maxValue, bins: binCount } = req.query;
+
+        const { whereClause, params } = buildTripFilters(req.query);
+        const filter = `${whereClause} AND fare_per_km > 0`;
+
+        client = await pool.connect();
+
+        const summary = await client.query(`
+            SELECT
+                COUNT(*) as trip_count,
+                AVG(fare_per_km) as avg,
+                PERCENTILE_CONT(ARRAY[0.25, 0.5, 0.75, 0.9]) WITHIN GROUP (ORDER BY fare_per_km) as percentiles
+            FROM trips
+            ${filter}
+        `, params);
+
+        const histogram = await client.query(`
+            SELECT
+                WIDTH_BUCKET(fare_per_km, 0, $${params.length + 1}, $${params.length + 2}) as bucket,
+                COUNT(*) as trip_count
+            FROM trips
+            ${filter}
+            GROUP BY bucket
+            ORDER BY bucket
+        `, [...params, maxValue, binCount]);
+
+        const row = summary.rows[0];
+        const percentiles = row.percentiles || [];
+        const width = maxValue / binCount;
+
+        res.json({
+            trip_count: parseInt(row.trip_count),
+            avg: parseFloat(row.avg),
+            p25: percentiles[0],
+            median: percentiles[1],
+            p75: percentiles[2],
+            p90: percentiles[3],
+            bins: histogram.rows.map(r => {
+                const bucket = parseInt(r.bucket);
+                return {
+                    from: (bucket - 1) * width,
+                    to: bucket > binCount ? null : bucket * width,
+                    trip_count: parseInt(r.trip_count)
+                };
+            })
+        });
+    } catch (error) {
+        console.error('Error fetching fare per km:', error);
+        res.status(500).json({ error: 'Failed to fetch fare per km distribution' });
+    } finally {
+        if (client) client.release();
+    }
+});
+
+app.get('/api/fares/payment-share', validateQuery(TRIP_FILTER_PARAMS), async (req, res) => {
+    let client;
+    try {
+        const { whereClause, params } = buildTripFilters(req.query);
+
+        client = await pool.connect();
+        const result = await client.query(`
+            SELECT
+                payment_type,
+                COUNT(*) as trip_count,
+                SUM(total_amount) as revenue
+            FROM trips
+            ${whereClause}
+            GROUP BY payment_type
+            ORDER BY trip_count DESC
+        `, params);
+
+        const total = result.rows.reduce((sum, r) => sum + parseInt(r.trip_count), 0);
+
+        res.json(result.rows.map(row => ({
+            payment_type: row.payment_type,
+            label: PAYMENT_TYPES[row.payment_type] || 'Other',
+            trip_count: parseInt(row.trip_count),
+            revenue: parseFloat(row.revenue) || 0,
+            share: total > 0 ? parseInt(row.trip_count) / total : 0
+        })));
+    } catch (error) {
+        console.error('Error fetching payment share:', error);
+        res.status(500).json({ error: 'Failed to fetch payment share' });
+    } finally {
+        if (client) client.release();
+    }
+});
+
+// Shares are of the rows checked against the rules (valid + excluded),
+// which for a sampled or limited import is fewer than the rows read.
+function importSummary(row) {
+    const valid = parseInt(row.rows_valid) || 0;
+    const excluded = parseInt(row.rows_excluded) || 0;
+    return {
+        import_id: row.import_id,
+        file_name: row.file_name,
+        service_type: row.service_type,
+        service: SERVICE_LABELS[row.service_type] || row.service_type,
+        rows_processed: parseInt(row.rows_processed) || 0,
+        rows_checked: valid + excluded,
+        rows_valid: valid,
+        rows_excluded: excluded,
+        excluded_share: valid + excluded > 0 ? excluded / (valid + excluded) : 0,
+        sample_rate: row.sample_rate === null ? null : parseFloat(row.sample_rate),
+        row_limit: row.row_limit,
+        rules_source: row.validation_rules ? row.validation_rules.source : null,
+        started_at: row.started_at,
+        finished_at: row.finished_at
+    };
+}
+
+app.get('/api/data-quality', validateQuery({
+    service: { type: 'enumList', values: SERVICE_TYPES }
+}), async (req, res) => {
+    let client;
+    try {
+        const params = [];
+        let whereClause = '';
+        if (req.query.service) {
+            params.push(req.query.service);
+            whereClause = 'WHERE i.service_type = ANY($1::text[])';
+        }
+
+        client = await pool.connect();
+        const imports = await client.query(`
+            SELECT i.import_id, i.file_name, i.service_type, i.rows_processed, i.rows_valid, i.rows_excluded,
+                   i.validation_rules, i.sample_rate, i.row_limit, i.started_at, i.finished_at
+            FROM imports i
+            ${whereClause}
+            ORDER BY i.file_name, i.import_id
+        `, params);
+        const exclusions = await client.query(`
+            SELECT e.import_id, e.rule, e.excluded_count
+            FROM import_exclusions e
+            JOIN imports i ON i.import_id = e.import_id
+            ${whereClause}
+            ORDER BY e.excluded_count DESC
+        `, params);
+
+        const totals = new Map();
+        const result = imports.rows.map(row => {
+            const summary = importSummary(row);
+            summary.exclusions = exclusions.rows
+                .filter(e => e.import_id === row.import_id)
+                .map(e => ({
+                    rule: e.rule,
+                    excluded_count: e.excluded_count,
+                    share: summary.rows_checked > 0 ? e.excluded_count / summary.rows_checked : 0
+                }));
+            summary.exclusions.forEach(e => totals.set(e.rule, (totals.get(e.rule) || 0) + e.excluded_count));
+            return summary;
+        });
+
+        res.json({
+            imports: result,
+            rules: [...totals].map(([rule, count]) => ({ rule, excluded_count: count })).sort((a, b) => b.excluded_count - a.excluded_count)
+        });
+    } catch (error) {
+        console.error('Error fetching data quality:', error);
+        res.status(500).json({ error: 'Failed to fetch data quality report' });
+    } finally {
+        if (client) client.release();
+    }
+});
+
+app.get('/api/data-quality/:importId', validateParams({
+    importId: { type: 'string', pattern: /^\d{1,9}$/, patternReason: 'must be a numeric import_id' }
+}), async (req, res) => {
+    let client;
+    try {
+        client = await pool.connect();
+        const imports = await client.query(`
+            SELECT import_id, file_name, service_type, rows_processed, rows_valid, rows_excluded,
+                   validation_rules, sample_rate, row_limit, started_at, finished_at
+            FROM imports
+            WHERE import_id = $1
+        `, [req.params.importId]);
+
+        if (imports.rows.length === 0) {
+            return res.status(404).json({ error: 'Import not found' });
+        }
+
+        const exclusions = await client.query(`
+            SELECT rule, excluded_count, samples
+            FROM import_exclusions
+            WHERE import_id = $1
+            ORDER BY excluded_count DESC
+        `, [req.params.importId]);
+
+        const row = imports.rows[0];
+        const summary = importSummary(row);
+        const rules = row.validation_rules ? row.validation_rules.rules : [];
+
+        res.json({
+            import: { ...summary, rules },
+            exclusions: exclusions.rows.map(e => ({
+                rule: e.rule,
+                excluded_count: e.excluded_count,
+                share: summary.rows_checked > 0 ? e.excluded_count / summary.rows_checked : 0,
+                threshold: rules.find(r => r.name === e.rule) || null,
+                samples: e.samples
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching import data quality:', error);
+        res.status(500).json({ error: 'Failed to fetch import data quality' });
+    } finally {
+        if (client) client.release();
     }
 });
 